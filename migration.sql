@@ -1,62 +0,0 @@
--- =====================================================
--- USERS TABLE
--- =====================================================
-CREATE TABLE IF NOT EXISTS users (
-    id SERIAL PRIMARY KEY,
-    name VARCHAR(255) NOT NULL,
-    email VARCHAR(255) UNIQUE NOT NULL,
-    phone VARCHAR(50),
-    address TEXT,
-    demographics JSONB,
-    preferences JSONB,
-    last_accessed_at TIMESTAMP,
-    last_login_at TIMESTAMP,
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-);
-
--- =====================================================
--- ORDERS TABLE
--- =====================================================
-CREATE TABLE IF NOT EXISTS orders (
-    id SERIAL PRIMARY KEY,
-    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    user_data JSONB NOT NULL,
-    product JSONB NOT NULL,
-    amount NUMERIC(10,2) NOT NULL,
-    status VARCHAR(50) DEFAULT 'pending',
-    payment_details JSONB,
-    paid_at TIMESTAMP,
-    created_at TIMESTAMP DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-);
-
--- =====================================================
--- USER SESSIONS TABLE
--- =====================================================
-CREATE TABLE IF NOT EXISTS user_sessions (
-    session_id VARCHAR(255) PRIMARY KEY,
-    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    device_info TEXT DEFAULT 'unknown',
-    ip_address VARCHAR(50) DEFAULT 'unknown',
-    created_at TIMESTAMP DEFAULT NOW(),
-    last_active_at TIMESTAMP DEFAULT NOW()
-);
-
--- =====================================================
--- USER ACTIVITY TABLE
--- =====================================================
-CREATE TABLE IF NOT EXISTS user_activity (
-    id SERIAL PRIMARY KEY,
-    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    action VARCHAR(100) NOT NULL,
-    details JSONB,
-    created_at TIMESTAMP DEFAULT NOW()
-);
-
--- =====================================================
--- INDEXES (Optional but useful for performance)
--- =====================================================
-CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
-CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
-CREATE INDEX IF NOT EXISTS idx_user_activity_user_id ON user_activity(user_id);
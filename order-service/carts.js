@@ -0,0 +1,272 @@
+// carts.js
+//
+// One persisted cart per user, staged before checkout. Each item keeps a
+// snapshot of the catalog price it was added at; checkout re-prices the cart
+// and refuses to place the order while any snapshot is stale, so the customer
+// is never charged a price they did not see. Carts expire CART_TTL_HOURS
+// after their last change.
+const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const { toPaise, fromPaise } = require('./money');
+const { createOrderWithItems } = require('./orderItems');
+const { resolveOrderItems } = require('./productCatalog');
+
+const CART_TTL_HOURS = parseInt(process.env.CART_TTL_HOURS) || 72;
+const CART_CLEANUP_INTERVAL_MS = parseInt(process.env.CART_CLEANUP_INTERVAL_MS) || 3600000;
+
+const cartError = (code, message, details = {}) =>
+  Object.assign(new Error(message), { code, ...details });
+
+// Validates { sku, quantity, unitPrice } for adding (sku required) or updating
+// an item. unitPrice is optional: when given it must match the catalog price.
+function validateCartItem(body = {}, { requireSku = true } = {}) {
+  const item = {};
+
+  if (requireSku) {
+    if (typeof body.sku !== 'string' || body.sku === '') {
+      return { error: 'sku is required' };
+    }
+    item.sku = body.sku;
+  }
+
+  const quantity = body.quantity === undefined && requireSku ? 1 : Number(body.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return { error: 'quantity must be a positive integer' };
+  }
+  item.quantity = quantity;
+
+  if (body.unitPrice !== undefined) {
+    const unitPrice = parseFloat(body.unitPrice);
+    if (isNaN(unitPrice) || unitPrice <= 0) {
+      return { error: 'unitPrice must be a positive number' };
+    }
+    item.unitPrice = unitPrice;
+  }
+
+  return { item };
+}
+
+// Locks the user's cart, creating it (or emptying it once expired) as needed
+async function lockCart(db, userId) {
+  await db.query(`
+    INSERT INTO carts (user_id, expires_at)
+    VALUES ($1, NOW() + make_interval(hours => $2))
+    ON CONFLICT (user_id) DO NOTHING
+  `, [userId, CART_TTL_HOURS]);
+
+  const result = await db.query('SELECT * FROM carts WHERE user_id = $1 FOR UPDATE', [userId]);
+  const cart = result.rows[0];
+  if (cart.expires_at < new Date()) {
+    await db.query('DELETE FROM cart_items WHERE cart_id = $1', [cart.id]);
+  }
+  return cart;
+}
+
+const touchCart = (db, cartId) => db.query(`
+  UPDATE carts SET expires_at = NOW() + make_interval(hours => $2), updated_at = NOW()
+  WHERE id = $1
+`, [cartId, CART_TTL_HOURS]);
+
+// Current catalog price for a SKU, rejecting unknown and inactive products and a
+// client-supplied unitPrice that differs from it
+async function snapshotPrice(db, item) {
+  const { items, error } = await resolveOrderItems(db, [{ sku: item.sku, quantity: item.quantity }]);
+  if (error) {
+    throw cartError('INVALID_CART_ITEM', error);
+  }
+  const currentPrice = items[0].unitPrice;
+  if (item.unitPrice !== undefined && toPaise(item.unitPrice) !== toPaise(currentPrice)) {
+    throw cartError('PRICE_MISMATCH', `Price of ${item.sku} is ${currentPrice}, not ${item.unitPrice}`, {
+      sku: item.sku,
+      currentPrice
+    });
+  }
+  return currentPrice;
+}
+
+async function readCart(db, userId) {
+  const cartResult = await db.query(
+    'SELECT * FROM carts WHERE user_id = $1 AND expires_at > NOW()',
+    [userId]
+  );
+  const cart = cartResult.rows[0];
+  if (!cart) {
+    return { userId, items: [], total: 0, expiresAt: null, updatedAt: null };
+  }
+
+  const itemsResult = await db.query(`
+    SELECT ci.sku, ci.quantity, ci.unit_price, ci.added_at, ci.updated_at,
+           p.name, p.category, p.brand, p.price as current_price, p.active
+    FROM cart_items ci
+    JOIN products p ON p.sku = ci.sku
+    WHERE ci.cart_id = $1
+    ORDER BY ci.added_at, ci.id
+  `, [cart.id]);
+
+  const items = itemsResult.rows.map(row => {
+    const unitPricePaise = toPaise(row.unit_price);
+    return {
+      sku: row.sku,
+      name: row.name,
+      category: row.category,
+      brand: row.brand,
+      quantity: row.quantity,
+      unitPrice: fromPaise(unitPricePaise),
+      lineTotal: fromPaise(unitPricePaise * row.quantity),
+      // Flags items checkout would currently refuse
+      priceChanged: toPaise(row.current_price) !== unitPricePaise,
+      available: row.active,
+      addedAt: row.added_at
+    };
+  });
+
+  return {
+    userId,
+    items,
+    total: fromPaise(items.reduce((sum, item) => sum + toPaise(item.lineTotal), 0)),
+    expiresAt: cart.expires_at,
+    updatedAt: cart.updated_at
+  };
+}
+
+const getCart = (userId) => readCart(pool, userId);
+
+// Adds quantity of a SKU, merging with an existing line at the current price
+async function addCartItem(userId, item) {
+  return withTransaction(async (db) => {
+    const cart = await lockCart(db, userId);
+    const price = await snapshotPrice(db, item);
+    await db.query(`
+      INSERT INTO cart_items (cart_id, sku, quantity, unit_price)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (cart_id, sku) DO UPDATE
+      SET quantity = cart_items.quantity + EXCLUDED.quantity,
+          unit_price = EXCLUDED.unit_price,
+          updated_at = NOW()
+    `, [cart.id, item.sku, item.quantity, price]);
+    await touchCart(db, cart.id);
+    return readCart(db, userId);
+  });
+}
+
+// Sets the quantity of a line and refreshes its price snapshot
+async function updateCartItem(userId, sku, item) {
+  return withTransaction(async (db) => {
+    const cart = await lockCart(db, userId);
+    const price = await snapshotPrice(db, { ...item, sku });
+    const updated = await db.query(`
+      UPDATE cart_items SET quantity = $3, unit_price = $4, updated_at = NOW()
+      WHERE cart_id = $1 AND sku = $2
+    `, [cart.id, sku, item.quantity, price]);
+    if (updated.rowCount === 0) {
+      throw cartError('CART_ITEM_NOT_FOUND', `${sku} is not in the cart`);
+    }
+    await touchCart(db, cart.id);
+    return readCart(db, userId);
+  });
+}
+
+async function removeCartItem(userId, sku) {
+  return withTransaction(async (db) => {
+    const cart = await lockCart(db, userId);
+    const removed = await db.query('DELETE FROM cart_items WHERE cart_id = $1 AND sku = $2', [cart.id, sku]);
+    if (removed.rowCount === 0) {
+      throw cartError('CART_ITEM_NOT_FOUND', `${sku} is not in the cart`);
+    }
+    await touchCart(db, cart.id);
+    return readCart(db, userId);
+  });
+}
+
+async function clearCart(userId) {
+  const result = await pool.query('DELETE FROM carts WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+}
+
+// Turns the cart into a pending order and deletes the cart in one transaction.
+// Resolves to { order }, or to { priceChanges } after refreshing stale price
+// snapshots: that transaction commits, so a repeated checkout goes through at
+// the prices now shown in the cart. Throws CART_EMPTY, INVALID_CART_ITEM
+// (unavailable product), COUPON_REJECTED, UNSUPPORTED_CURRENCY or OUT_OF_STOCK.
+async function checkoutCart(userId, userData, {
+  couponCode = null, currency = null, userVerified = true
+} = {}) {
+  return withTransaction(async (db) => {
+    const cart = await lockCart(db, userId);
+    const cartItems = await db.query(
+      'SELECT * FROM cart_items WHERE cart_id = $1 ORDER BY added_at, id',
+      [cart.id]
+    );
+    if (cartItems.rows.length === 0) {
+      throw cartError('CART_EMPTY', 'Cart is empty');
+    }
+
+    const { items, error } = await resolveOrderItems(
+      db,
+      cartItems.rows.map(row => ({ sku: row.sku, quantity: row.quantity }))
+    );
+    if (error) {
+      throw cartError('INVALID_CART_ITEM', error);
+    }
+
+    const priceChanges = [];
+    for (let i = 0; i < items.length; i++) {
+      const snapshot = cartItems.rows[i];
+      if (toPaise(snapshot.unit_price) !== toPaise(items[i].unitPrice)) {
+        priceChanges.push({
+          sku: snapshot.sku,
+          cartPrice: parseFloat(snapshot.unit_price),
+          currentPrice: items[i].unitPrice
+        });
+        await db.query(
+          'UPDATE cart_items SET unit_price = $2, updated_at = NOW() WHERE id = $1',
+          [snapshot.id, items[i].unitPrice]
+        );
+      }
+    }
+    if (priceChanges.length > 0) {
+      await touchCart(db, cart.id);
+      return { priceChanges };
+    }
+
+    const order = await createOrderWithItems(db, {
+      userId,
+      userData,
+      userVerified,
+      items,
+      couponCode,
+      currency,
+      reason: 'cart_checkout'
+    });
+    await db.query('DELETE FROM carts WHERE id = $1', [cart.id]);
+    return { order };
+  });
+}
+
+async function purgeExpiredCarts() {
+  const result = await pool.query('DELETE FROM carts WHERE expires_at < NOW()');
+  if (result.rowCount > 0) {
+    logger.info('Purged expired carts', { count: result.rowCount });
+  }
+  return result.rowCount;
+}
+
+function startCartCleanup() {
+  const timer = setInterval(() => {
+    purgeExpiredCarts().catch(error =>
+      logger.logError(error, { context: 'Cart cleanup failed' }));
+  }, CART_CLEANUP_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  validateCartItem,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkoutCart,
+  purgeExpiredCarts,
+  startCartCleanup
+};
@@ -0,0 +1,274 @@
+// coupons.js
+//
+// Percentage or flat discounts with a minimum order value, global and per-user
+// usage limits, a validity window and optional category restrictions. The
+// discount is split across the eligible items in proportion to their line
+// totals, so each order item knows what was actually paid for it and refunds
+// return exactly that.
+const { pool } = require('./db');
+const { BASE_CURRENCY, toPaise, fromPaise, fromInr } = require('./money');
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,64}$/;
+
+// Filterable, sortable and selectable columns for GET /coupons (see listQuery.js)
+const COUPON_LIST_SCHEMA = {
+  fields: {
+    id: { type: 'integer', filter: true, sort: true },
+    code: { type: 'string', filter: true, sort: true },
+    discount_type: { type: 'string', filter: true },
+    discount_value: { type: 'number', filter: true, sort: true },
+    max_discount: {},
+    min_order_value: { type: 'number', filter: true, sort: true },
+    usage_limit: {},
+    per_user_limit: {},
+    times_used: { type: 'integer', filter: true, sort: true },
+    categories: {},
+    valid_from: { type: 'timestamp', filter: true, sort: true },
+    valid_until: { type: 'timestamp', filter: true, sort: true },
+    active: { type: 'boolean', filter: true },
+    created_at: { type: 'timestamp', filter: true, sort: true },
+    updated_at: { type: 'timestamp', filter: true, sort: true }
+  }
+};
+
+// Body field -> column, with the check each value must pass
+const COUPON_FIELDS = {
+  type: ['discount_type', (v) => DISCOUNT_TYPES.includes(v), `must be one of ${DISCOUNT_TYPES.join(', ')}`],
+  value: ['discount_value', (v) => typeof v === 'number' && v > 0, 'must be a positive number'],
+  maxDiscount: ['max_discount', (v) => v === null || (typeof v === 'number' && v > 0), 'must be a positive number'],
+  minOrderValue: ['min_order_value', (v) => typeof v === 'number' && v >= 0, 'must be a non-negative number'],
+  usageLimit: ['usage_limit', (v) => v === null || (Number.isInteger(v) && v > 0), 'must be a positive integer'],
+  perUserLimit: ['per_user_limit', (v) => v === null || (Number.isInteger(v) && v > 0), 'must be a positive integer'],
+  categories: [
+    'categories',
+    (v) => v === null || (Array.isArray(v) && v.length > 0 && v.every(c => typeof c === 'string' && c !== '')),
+    'must be a non-empty array of category names'
+  ],
+  validFrom: ['valid_from', (v) => v === null || !isNaN(Date.parse(v)), 'must be an ISO-8601 date'],
+  validUntil: ['valid_until', (v) => v === null || !isNaN(Date.parse(v)), 'must be an ISO-8601 date'],
+  active: ['active', (v) => typeof v === 'boolean', 'must be a boolean']
+};
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Validates a coupon body. With partial (PATCH) only the fields present are
+// checked and the code cannot change; otherwise code, type and value are required.
+function validateCoupon(body = {}, { partial = false } = {}) {
+  const coupon = {};
+
+  if (partial) {
+    if (body.code !== undefined) return { error: 'code cannot be changed' };
+  } else {
+    if (typeof body.code !== 'string' || !COUPON_CODE_PATTERN.test(normalizeCode(body.code))) {
+      return { error: 'code must be 3-64 letters, digits, dashes or underscores' };
+    }
+    coupon.code = normalizeCode(body.code);
+    if (body.type === undefined || body.value === undefined) {
+      return { error: 'type and value are required' };
+    }
+  }
+
+  for (const [field, [column, isValid, message]] of Object.entries(COUPON_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (!isValid(body[field])) return { error: `${field} ${message}` };
+    coupon[column] = body[field];
+  }
+
+  if (coupon.discount_type === 'percentage' && coupon.discount_value > 100) {
+    return { error: 'value must be at most 100 for percentage coupons' };
+  }
+  if (coupon.valid_from && coupon.valid_until && new Date(coupon.valid_from) >= new Date(coupon.valid_until)) {
+    return { error: 'validFrom must be before validUntil' };
+  }
+  if (partial && Object.keys(coupon).length === 0) {
+    return { error: 'No coupon fields to update' };
+  }
+  return { coupon };
+}
+
+async function createCoupon(coupon) {
+  const columns = Object.keys(coupon);
+  const result = await pool.query(`
+    INSERT INTO coupons (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING *
+  `, Object.values(coupon));
+  return result.rows[0];
+}
+
+async function updateCoupon(code, changes) {
+  const columns = Object.keys(changes);
+  const result = await pool.query(`
+    UPDATE coupons
+    SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+    WHERE code = $1
+    RETURNING *
+  `, [normalizeCode(code), ...Object.values(changes)]);
+  return result.rows[0] || null;
+}
+
+async function getCoupon(code) {
+  const result = await pool.query('SELECT * FROM coupons WHERE code = $1', [normalizeCode(code)]);
+  return result.rows[0] || null;
+}
+
+// Splits totalPaise across weights in proportion, handing the rounding
+// remainder out by largest fractional share so the parts sum exactly
+function allocateProportionally(totalPaise, weights) {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  if (weightSum === 0) return weights.map(() => 0);
+
+  const exact = weights.map(w => (totalPaise * w) / weightSum);
+  const parts = exact.map(Math.floor);
+  let remainder = totalPaise - parts.reduce((sum, p) => sum + p, 0);
+  exact
+    .map((value, i) => ({ i, fraction: value - parts[i] }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ i }) => {
+      if (remainder > 0) {
+        parts[i]++;
+        remainder--;
+      }
+    });
+  return parts;
+}
+
+// Discount a coupon gives on priced items, ignoring usage limits and validity.
+// Coupon amounts are in INR and are converted for orders priced in another
+// currency at rateToInr; messages quote them in that currency. Resolves to { discountPaise, lineDiscountsPaise,
+// eligibleSubtotalPaise } or { reason, message } when the order does not qualify.
+function computeDiscount(coupon, items, rateToInr = 1, currency = BASE_CURRENCY) {
+  const linePaise = items.map(item => toPaise(item.lineTotal));
+  const subtotalPaise = linePaise.reduce((sum, p) => sum + p, 0);
+  const localPaise = (amountInr) => toPaise(fromInr(amountInr, rateToInr));
+
+  const minOrderPaise = localPaise(coupon.min_order_value);
+  if (subtotalPaise < minOrderPaise) {
+    return {
+      reason: 'min_order_value',
+      message: `Coupon ${coupon.code} needs an order of at least ${fromPaise(minOrderPaise)} ${currency}`
+    };
+  }
+
+  const categories = coupon.categories ? coupon.categories.map(c => c.toLowerCase()) : null;
+  const eligiblePaise = linePaise.map((paise, i) =>
+    !categories || categories.includes(String(items[i].category).toLowerCase()) ? paise : 0);
+  const eligibleSubtotalPaise = eligiblePaise.reduce((sum, p) => sum + p, 0);
+  if (eligibleSubtotalPaise === 0) {
+    return {
+      reason: 'no_eligible_items',
+      message: `Coupon ${coupon.code} only applies to ${coupon.categories.join(', ')}`
+    };
+  }
+
+  let discountPaise = coupon.discount_type === 'percentage'
+    ? Math.floor((eligibleSubtotalPaise * toPaise(coupon.discount_value)) / 10000)
+    : localPaise(coupon.discount_value);
+  if (coupon.max_discount !== null && coupon.max_discount !== undefined) {
+    discountPaise = Math.min(discountPaise, localPaise(coupon.max_discount));
+  }
+  discountPaise = Math.min(discountPaise, eligibleSubtotalPaise);
+
+  return {
+    discountPaise,
+    lineDiscountsPaise: allocateProportionally(discountPaise, eligiblePaise),
+    eligibleSubtotalPaise
+  };
+}
+
+const couponError = (reason, message) =>
+  Object.assign(new Error(message), { code: 'COUPON_REJECTED', reason });
+
+// Usage limits are the only rejections a retry might get past
+const COUPON_LIMIT_REASONS = ['usage_limit_reached', 'user_limit_reached'];
+
+// Locks the coupon and checks it can be used by this user on these items.
+// The row lock serializes concurrent redemptions so usage limits hold. Resolves
+// to { coupon, discount, lineDiscounts, breakdown }; throws COUPON_REJECTED
+// with a reason otherwise.
+async function applyCoupon(db, { code, userId, items, rateToInr = 1, currency = BASE_CURRENCY }) {
+  const result = await db.query('SELECT * FROM coupons WHERE code = $1 FOR UPDATE', [normalizeCode(code)]);
+  const coupon = result.rows[0];
+  const now = new Date();
+
+  if (!coupon) throw couponError('not_found', `Unknown coupon ${normalizeCode(code)}`);
+  if (!coupon.active) throw couponError('inactive', `Coupon ${coupon.code} is no longer available`);
+  if (coupon.valid_from && now < coupon.valid_from) {
+    throw couponError('not_started', `Coupon ${coupon.code} is not valid yet`);
+  }
+  if (coupon.valid_until && now >= coupon.valid_until) {
+    throw couponError('expired', `Coupon ${coupon.code} has expired`);
+  }
+  if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) {
+    throw couponError('usage_limit_reached', `Coupon ${coupon.code} has been fully redeemed`);
+  }
+  if (coupon.per_user_limit !== null) {
+    const used = await db.query(
+      "SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = $1 AND user_id = $2 AND status = 'applied'",
+      [coupon.id, userId]
+    );
+    if (parseInt(used.rows[0].count) >= coupon.per_user_limit) {
+      throw couponError('user_limit_reached', `Coupon ${coupon.code} can only be used ${coupon.per_user_limit} time(s)`);
+    }
+  }
+
+  const computed = computeDiscount(coupon, items, rateToInr, currency);
+  if (computed.reason) throw couponError(computed.reason, computed.message);
+
+  const lineDiscounts = computed.lineDiscountsPaise.map(fromPaise);
+  return {
+    coupon,
+    discount: fromPaise(computed.discountPaise),
+    lineDiscounts,
+    breakdown: {
+      code: coupon.code,
+      type: coupon.discount_type,
+      value: parseFloat(coupon.discount_value),
+      maxDiscount: coupon.max_discount === null ? null : parseFloat(coupon.max_discount),
+      categories: coupon.categories,
+      eligibleSubtotal: fromPaise(computed.eligibleSubtotalPaise),
+      discount: fromPaise(computed.discountPaise),
+      items: items.map((item, i) => ({ sku: item.sku, lineTotal: item.lineTotal, discount: lineDiscounts[i] }))
+    }
+  };
+}
+
+async function recordRedemption(db, { coupon, orderId, userId, discount }) {
+  await db.query(`
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount)
+    VALUES ($1, $2, $3, $4)
+  `, [coupon.id, orderId, userId, discount]);
+  await db.query('UPDATE coupons SET times_used = times_used + 1, updated_at = NOW() WHERE id = $1', [coupon.id]);
+}
+
+// A cancelled order gives its coupon use back
+async function releaseRedemption(db, orderId) {
+  const result = await db.query(`
+    UPDATE coupon_redemptions SET status = 'released', released_at = NOW()
+    WHERE order_id = $1 AND status = 'applied'
+    RETURNING coupon_id
+  `, [orderId]);
+  if (result.rows.length === 0) return false;
+
+  await db.query(
+    'UPDATE coupons SET times_used = GREATEST(times_used - 1, 0), updated_at = NOW() WHERE id = $1',
+    [result.rows[0].coupon_id]
+  );
+  return true;
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  COUPON_LIST_SCHEMA,
+  COUPON_LIMIT_REASONS,
+  validateCoupon,
+  createCoupon,
+  updateCoupon,
+  getCoupon,
+  allocateProportionally,
+  computeDiscount,
+  applyCoupon,
+  recordRedemption,
+  releaseRedemption
+};
@@ -0,0 +1,93 @@
+// exchangeRates.js
+//
+// INR exchange rates, managed by hand through PUT /exchange-rates/:currency.
+// Orders are priced in the buyer's currency at the rate current when they
+// are placed and keep that rate; later changes never reprice an order.
+const { pool } = require('./db');
+const { BASE_CURRENCY, CURRENCY_CODE_PATTERN } = require('./money');
+
+const isCurrencyCode = (value) => typeof value === 'string' && CURRENCY_CODE_PATTERN.test(value);
+
+// Validates { rateToInr } for a currency. INR is always 1.
+function validateExchangeRate(currency, body = {}) {
+  if (!isCurrencyCode(currency)) {
+    return { error: 'currency must be an ISO 4217 code such as USD' };
+  }
+  if (currency === BASE_CURRENCY) {
+    return { error: `${BASE_CURRENCY} is the base currency and always has rate 1` };
+  }
+  const rate = body.rateToInr;
+  if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+    return { error: 'rateToInr must be a positive number' };
+  }
+  return { rate };
+}
+
+async function listExchangeRates() {
+  const result = await pool.query('SELECT * FROM exchange_rates ORDER BY currency');
+  return result.rows;
+}
+
+async function setExchangeRate(currency, rate) {
+  const result = await pool.query(`
+    INSERT INTO exchange_rates (currency, rate_to_inr, updated_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (currency) DO UPDATE SET rate_to_inr = EXCLUDED.rate_to_inr, updated_at = NOW()
+    RETURNING *
+  `, [currency, rate]);
+  return result.rows[0];
+}
+
+// Currency to price an order in: the one requested, else the user's preferred
+// currency (users.preferences.currency), else INR
+function orderCurrencyFor(requested, userData) {
+  if (requested) return requested;
+  let preferences = userData?.preferences;
+  if (typeof preferences === 'string') {
+    try {
+      preferences = JSON.parse(preferences);
+    } catch (err) {
+      preferences = null;
+    }
+  }
+  const preferred = preferences?.currency;
+  return isCurrencyCode(preferred) ? preferred : BASE_CURRENCY;
+}
+
+// Rate for pricing an order; throws UNSUPPORTED_CURRENCY when none is configured
+async function getExchangeRate(db, currency) {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const result = await db.query('SELECT rate_to_inr FROM exchange_rates WHERE currency = $1', [currency]);
+  if (result.rows.length === 0) {
+    const err = new Error(`No exchange rate configured for ${currency}`);
+    err.code = 'UNSUPPORTED_CURRENCY';
+    err.currency = currency;
+    throw err;
+  }
+  return parseFloat(result.rows[0].rate_to_inr);
+}
+
+// Currency and rate to price an order in: { currency, rateToInr }. A currency
+// the client asked for must have a rate (UNSUPPORTED_CURRENCY otherwise); a
+// preferred currency without one falls back to INR, as orders did before
+// currencies were supported.
+async function orderCurrencyRate(db, requested, userData) {
+  const currency = orderCurrencyFor(requested, userData);
+  try {
+    return { currency, rateToInr: await getExchangeRate(db, currency) };
+  } catch (error) {
+    if (requested || error.code !== 'UNSUPPORTED_CURRENCY') throw error;
+    return { currency: BASE_CURRENCY, rateToInr: 1 };
+  }
+}
+
+module.exports = {
+  isCurrencyCode,
+  validateExchangeRate,
+  listExchangeRates,
+  setExchangeRate,
+  orderCurrencyFor,
+  getExchangeRate,
+  orderCurrencyRate
+};
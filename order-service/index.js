@@ -1,10 +1,96 @@
 const express = require('express');
-const { Pool } = require('pg');
 const axios = require('axios');
 const metricsMiddleware = require('./metricsMiddleware');
 const client = require('./metrics').client;
 const morgan = require('morgan');
 const logger = require('./logger');
+const {
+  OUTBOX_STATUSES,
+  startOutboxDispatcher,
+  getOutboxEvent,
+  requeueOutboxEvent,
+  listOutboxEvents
+} = require('./outbox');
+const { circuitBreakerStates } = require('./circuitBreaker');
+const { UNAVAILABLE_ERROR_CODES } = require('./httpClient');
+const { idempotencyMiddleware, startIdempotencyKeyCleanup } = require('./idempotency');
+const { pool, withTransaction } = require('./db');
+const { migrateUp } = require('./migrator');
+const { ORDER_STATUSES, MANUAL_STATUSES, transitionOrder, canTransition } = require('./orderStateMachine');
+const {
+  normalizeOrderItems,
+  calculateOrderTotal,
+  createOrderWithItems,
+  getOrderItems
+} = require('./orderItems');
+const {
+  transactionIdOf,
+  requestRefund,
+  startCancellationRefund,
+  recordRefundFailure,
+  validateRefundRequest,
+  createOrderRefund,
+  submitOrderRefund,
+  getOrderRefunds,
+  startRefundRetryWorker
+} = require('./orderRefunds');
+const { fetchUserProfiles } = require('./userClient');
+const {
+  REVENUE_STATUSES,
+  parseAnalyticsWindow,
+  windowCondition,
+  getOrderTimeSeries,
+  getSalesByDimension,
+  getRevenueByCurrency,
+  getTaxSummary,
+  summarizeDemographics
+} = require('./orderAnalytics');
+const { PAGE_KEY_SQL, parsePagination, pageClause, buildPage } = require('./pagination');
+const { parseListQuery, selectColumns, orderByClause } = require('./listQuery');
+const { EXPORT_FORMATS, streamExport } = require('./exportStream');
+const { validateUserUpdate, applyUserUpdate, getUserSnapshot } = require('./userSnapshots');
+const {
+  PRODUCT_LIST_SCHEMA,
+  validateProduct,
+  createProduct,
+  updateProduct,
+  getProduct,
+  resolveOrderItems
+} = require('./productCatalog');
+const {
+  COUPON_LIST_SCHEMA,
+  COUPON_LIMIT_REASONS,
+  validateCoupon,
+  createCoupon,
+  updateCoupon,
+  getCoupon
+} = require('./coupons');
+const {
+  validateCartItem,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  checkoutCart,
+  startCartCleanup
+} = require('./carts');
+const {
+  validateStockLevels,
+  createInventory,
+  updateInventory,
+  getInventory
+} = require('./inventory');
+const {
+  isCurrencyCode,
+  validateExchangeRate,
+  listExchangeRates,
+  setExchangeRate
+} = require('./exchangeRates');
+const { BASE_CURRENCY } = require('./money');
+const { ACTIVE_SAGA_STATUSES, executePaymentSaga, startSagaRecoveryWorker } = require('./paymentSaga');
+const { startOrderExpiryWorker } = require('./orderExpiry');
+const { lookupUserForOrder, startUserVerificationWorker } = require('./userVerification');
 
 const app = express();
 app.use(express.json());
@@ -15,15 +101,6 @@ app.use(morgan('combined', {
 
 const port = process.env.PORT || 3002;
 
-// PostgreSQL connection
-const pool = new Pool({
-  host: process.env.DB_HOST || 'postgres-service',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'ecommerce',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-});
-
 // Initialize database tables
 async function initDB(retries = 5) {
   for (let i = 0; i < retries; i++) {
@@ -33,6 +110,13 @@ async function initDB(retries = 5) {
         host: process.env.DB_HOST || 'postgres-service',
         database: process.env.DB_NAME || 'ecommerce'
       });
+
+      const applied = await migrateUp();
+      if (applied.length > 0) {
+        logger.info('Applied schema migrations', { versions: applied });
+      }
+
+      logger.info('Order service database initialized successfully');
       return pool;
     } catch (err) {
       logger.warn(`DB connection failed, retrying in 5s... (attempt ${i + 1}/${retries})`, {
@@ -66,153 +150,279 @@ app.use((req, res, next) => {
   next();
 });
 
+// Replays stored responses for requests carrying an Idempotency-Key header
+const idempotent = idempotencyMiddleware(pool);
+
+// Optional order currency from a request body; absent means the user's
+// preferred currency (see exchangeRates.orderCurrencyRate)
+function parseOrderCurrency(body) {
+  if (body?.currency === undefined) return { currency: null };
+  const currency = typeof body.currency === 'string' ? body.currency.trim().toUpperCase() : null;
+  if (!isCurrencyCode(currency)) {
+    return { error: 'currency must be an ISO 4217 code such as USD' };
+  }
+  return { currency };
+}
+
+// Responds to the expected failures of creating an order (rejected coupon,
+// unsupported currency, stock shortage and user-service errors) and returns
+// true, or returns false for anything else
+function sendOrderCreationError(res, error, userId) {
+  if (error.code === 'COUPON_REJECTED') {
+    logger.warn('Order rejected: coupon not applicable', {
+      userId,
+      reason: error.reason,
+      error: error.message
+    });
+    res.status(COUPON_LIMIT_REASONS.includes(error.reason) ? 409 : 400).json({
+      error: error.message,
+      reason: error.reason
+    });
+    return true;
+  }
+  if (error.code === 'UNSUPPORTED_CURRENCY') {
+    logger.warn('Order rejected: unsupported currency', { userId, currency: error.currency });
+    res.status(400).json({ error: error.message, currency: error.currency });
+    return true;
+  }
+  if (error.code === 'OUT_OF_STOCK') {
+    logger.warn('Order rejected: out of stock', {
+      userId,
+      sku: error.sku,
+      requested: error.requested,
+      available: error.available
+    });
+    res.status(409).json({
+      error: error.message,
+      sku: error.sku,
+      requested: error.requested,
+      available: error.available
+    });
+    return true;
+  }
+  if (error.response?.status === 404) {
+    logger.warn('User not found', {
+      userId,
+      userServiceStatus: error.response.status
+    });
+    res.status(404).json({ error: `User with ID ${userId} not found` });
+    return true;
+  }
+  if (UNAVAILABLE_ERROR_CODES.includes(error.code)) {
+    logger.error('User service unavailable', {
+      userId,
+      errorCode: error.code
+    });
+    res.status(503).json({ error: 'User service unavailable' });
+    return true;
+  }
+  if (error.code === 'ECONNABORTED') {
+    logger.error('User service timeout', {
+      userId,
+      timeout: '5000ms'
+    });
+    res.status(504).json({ error: 'User service request timed out' });
+    return true;
+  }
+  return false;
+}
+
 // Create new order
-app.post('/orders', async (req, res) => {
+app.post('/orders', idempotent, async (req, res) => {
   try {
-    const { userId, product, amount } = req.body;
+    const { userId, couponCode } = req.body;
 
     // Validate required fields
-    if (!userId || !product || !amount) {
+    if (!userId) {
       logger.warn('Order creation request missing required fields', {
         route: '/orders',
-        userId: userId || 'missing',
-        product: product || 'missing',
-        amount: amount || 'missing',
+        userId: 'missing',
         requestBody: req.body
       });
       return res.status(400).json({
-        error: 'Missing required fields: userId, product, and amount are required'
+        error: 'Missing required fields: userId and items (or sku or product) are required'
+      });
+    }
+
+    if (couponCode !== undefined && (typeof couponCode !== 'string' || couponCode.trim() === '')) {
+      return res.status(400).json({ error: 'couponCode must be a non-empty string' });
+    }
+    const { currency, error: currencyError } = parseOrderCurrency(req.body);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const { items: requested, error: requestError } = normalizeOrderItems(req.body);
+    // Prices come from the catalog; unknown and inactive products are rejected
+    const { items, error: itemsError } = requestError
+      ? { error: requestError }
+      : await resolveOrderItems(pool, requested);
+    if (itemsError) {
+      logger.warn('Order creation request has invalid items', {
+        route: '/orders',
+        userId,
+        error: itemsError,
+        requestBody: req.body
       });
+      return res.status(400).json({ error: itemsError });
     }
 
+    const subtotal = calculateOrderTotal(items);
+
     logger.info('Creating new order', {
       userId,
-      product: typeof product === 'object' ? product.name || 'unnamed' : product,
-      amount,
+      products: items.map(item => item.sku),
+      itemCount: items.length,
+      subtotal,
+      couponCode,
+      currency,
       route: '/orders'
     });
 
-    // Get user data from user service
+    // Get user data from user service, or from the cached snapshot while it is unreachable
     const userServiceStart = Date.now();
     logger.debug('Fetching user data from user service', { 
       userId,
       userServiceUrl: `http://user-service:3001/users/${userId}`
     });
 
-    const userResponse = await axios.get(`http://user-service:3001/users/${userId}`, {
-      timeout: 5000
-    });
+    const { user, verified: userVerified } = await lookupUserForOrder(userId);
 
     const userServiceDuration = Date.now() - userServiceStart;
     logger.info('User data retrieved successfully', {
       userId,
-      userName: userResponse.data.name,
+      userName: user.name,
+      userVerified,
       userServiceResponseTime: `${userServiceDuration}ms`
     });
 
-    // Create order in database
-    const result = await pool.query(`
-      INSERT INTO orders (user_id, user_data, product, amount)
-      VALUES ($1, $2, $3, $4)
-      RETURNING *
-    `, [userId, JSON.stringify(userResponse.data), product, parseFloat(amount)]);
+    // Create order, its line items, coupon redemption, stock reservations and
+    // initial history entry in one transaction; a rejected coupon or
+    // OUT_OF_STOCK rolls the whole order back
+    const order = await withTransaction(db => createOrderWithItems(db, {
+      userId,
+      userData: user,
+      userVerified,
+      items,
+      couponCode,
+      currency
+    }));
 
     logger.info('Order created successfully', {
-      orderId: result.rows[0].id,
+      orderId: order.id,
       userId,
-      userName: userResponse.data.name,
-      product: typeof product === 'object' ? product.name || 'unnamed' : product,
-      amount: parseFloat(amount)
+      userName: user.name,
+      itemCount: items.length,
+      amount: order.amount,
+      currency: order.currency,
+      userVerified: order.user_verified,
+      couponCode: order.coupon_code,
+      discount: order.discount_amount
     });
 
-    res.status(201).json(result.rows[0]);
+    res.status(201).json(order);
 
   } catch (error) {
+    if (sendOrderCreationError(res, error, req.body.userId)) return;
+
     logger.logError(error, {
       route: '/orders',
       userId: req.body.userId,
       product: req.body.product,
+      items: req.body.items,
       amount: req.body.amount,
       errorType: 'order_creation_error'
     });
-
-    if (error.response?.status === 404) {
-      logger.warn('User not found', {
-        userId: req.body.userId,
-        userServiceStatus: error.response.status
-      });
-      return res.status(404).json({ error: `User with ID ${req.body.userId} not found` });
-    }
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      logger.error('User service unavailable', {
-        userId: req.body.userId,
-        errorCode: error.code
-      });
-      return res.status(503).json({ error: 'User service unavailable' });
-    }
-    if (error.code === 'ECONNABORTED') {
-      logger.error('User service timeout', {
-        userId: req.body.userId,
-        timeout: '5000ms'
-      });
-      return res.status(504).json({ error: 'User service request timed out' });
-    }
     
     res.status(500).json({ error: 'Failed to create order' });
   }
 });
 
+// Filterable, sortable and selectable columns for GET /orders (see listQuery.js);
+// userId is kept as an alias of user_id for existing clients
+const ORDER_LIST_SCHEMA = {
+  fields: {
+    id: { type: 'integer', filter: true, sort: true },
+    user_id: { type: 'integer', filter: true, sort: true },
+    user_data: {},
+    product: {},
+    amount: { type: 'number', filter: true, sort: true },
+    status: { type: 'string', filter: true, sort: true },
+    payment_details: {},
+    paid_at: { type: 'timestamp', filter: true, sort: true },
+    cancellation_reason: { type: 'string', filter: true },
+    cancelled_at: { type: 'timestamp', filter: true, sort: true },
+    refund_status: { type: 'string', filter: true },
+    refund_details: {},
+    refunded_amount: { type: 'number', filter: true, sort: true },
+    subtotal: { type: 'number', filter: true, sort: true },
+    discount_amount: { type: 'number', filter: true, sort: true },
+    coupon_code: { type: 'string', filter: true },
+    discount_breakdown: {},
+    tax_amount: { type: 'number', filter: true, sort: true },
+    shipping_amount: { type: 'number', filter: true, sort: true },
+    supply_type: { type: 'string', filter: true },
+    tax_breakdown: {},
+    currency: { type: 'string', filter: true, sort: true },
+    exchange_rate: {},
+    amount_inr: { type: 'number', filter: true, sort: true },
+    user_verified: { type: 'boolean', filter: true },
+    user_verified_at: { type: 'timestamp', filter: true, sort: true },
+    created_at: { type: 'timestamp', filter: true, sort: true },
+    updated_at: { type: 'timestamp', filter: true, sort: true }
+  },
+  aliases: { userId: 'user_id' }
+};
+
 // Get all orders with filtering
 app.get('/orders', async (req, res) => {
   try {
-    const { userId, status, limit = 20, offset = 0 } = req.query;
-    
     logger.info('Retrieving orders', {
       route: '/orders',
-      filters: { userId, status, limit, offset },
+      query: req.query,
       method: 'GET'
     });
 
-    let query = 'SELECT * FROM orders';
-    let params = [];
-    let conditions = [];
-
-    if (userId) {
-      conditions.push(`user_id = $${params.length + 1}`);
-      params.push(userId);
-    }
-
-    if (status) {
-      conditions.push(`status = $${params.length + 1}`);
-      params.push(status);
+    const { listQuery, error: queryError } = parseListQuery(req.query, ORDER_LIST_SCHEMA);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
     }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+    const { page, error: pageError } = parsePagination(req.query, { sort: listQuery.sort });
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
     }
 
-    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
-    
-    // Get total count for filtered results
-    let countQuery = 'SELECT COUNT(*) FROM orders';
-    if (conditions.length > 0) {
-      countQuery += ' WHERE ' + conditions.join(' AND ');
+    const { conditions, params } = listQuery;
+    const pageQuery = pageClause(page, conditions, params);
+    const result = await pool.query(
+      `SELECT ${selectColumns(listQuery, ORDER_LIST_SCHEMA)}, ${PAGE_KEY_SQL} FROM orders${pageQuery.sql}`,
+      pageQuery.params
+    );
+    const { rows: orders, next_cursor, prev_cursor } = buildPage(page, result.rows);
+
+    // Exact total for filtered results, skipped in cursor mode unless asked for
+    let total;
+    if (page.includeTotal) {
+      let countQuery = 'SELECT COUNT(*) FROM orders';
+      if (conditions.length > 0) {
+        countQuery += ' WHERE ' + conditions.join(' AND ');
+      }
+      const countResult = await pool.query(countQuery, params);
+      total = parseInt(countResult.rows[0].count);
     }
-    const countResult = await pool.query(countQuery, params.slice(0, -2)); // Remove limit and offset
 
     logger.info('Orders retrieved successfully', {
-      totalOrders: parseInt(countResult.rows[0].count),
-      filteredOrders: result.rows.length,
-      filters: { userId, status, limit, offset }
+      totalOrders: total,
+      filteredOrders: orders.length,
+      mode: page.mode
     });
 
     res.json({
-      orders: result.rows,
-      total: parseInt(countResult.rows[0].count),
-      filtered: result.rows.length
+      orders,
+      total,
+      filtered: orders.length,
+      next_cursor,
+      prev_cursor
     });
   } catch (error) {
     logger.logError(error, {
@@ -223,6 +433,70 @@ app.get('/orders', async (req, res) => {
   }
 });
 
+// CSV columns for GET /orders/export; product and user_data are flattened
+const ORDER_EXPORT_COLUMNS = [
+  'id', 'user_id', 'status', 'currency', 'amount', 'amount_inr', 'exchange_rate',
+  'subtotal', 'discount_amount', 'coupon_code', 'tax_amount', 'shipping_amount', 'supply_type',
+  'created_at', 'updated_at', 'paid_at', 'cancelled_at', 'cancellation_reason', 'refund_status',
+  'user_verified', 'product.name', 'product.category', 'product.brand',
+  'user_data.name', 'user_data.email', 'user_data.phone',
+  'user_data.address.city', 'user_data.address.state', 'user_data.address.pincode'
+];
+
+// Stream every matching order as CSV or NDJSON; takes the same filters as GET /orders
+app.get('/orders/export', async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+
+    logger.info('Exporting orders', {
+      route: '/orders/export',
+      query: req.query
+    });
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { listQuery, error: queryError } = parseListQuery(
+      req.query,
+      { ...ORDER_LIST_SCHEMA, passthrough: ['format'] }
+    );
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { conditions, params, sort, fields } = listQuery;
+    let query = `SELECT ${selectColumns(listQuery, ORDER_LIST_SCHEMA)} FROM orders`;
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ` ORDER BY ${orderByClause(sort)}`;
+
+    const exported = await streamExport(res, {
+      sql: query,
+      params,
+      format,
+      columns: fields
+        ? ORDER_EXPORT_COLUMNS.filter(column => fields.includes(column.split('.')[0]))
+        : ORDER_EXPORT_COLUMNS,
+      nestedColumns: ['product', 'user_data'],
+      filename: `orders-${new Date().toISOString().slice(0, 10)}`
+    });
+
+    logger.info('Orders exported', { format, exported });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/orders/export',
+      errorType: 'orders_export_error'
+    });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
 // Get order by ID
 app.get('/orders/:id', async (req, res) => {
   try {
@@ -252,10 +526,13 @@ app.get('/orders/:id', async (req, res) => {
     }
 
     const order = result.rows[0];
+    order.items = await getOrderItems(pool, orderId);
+
     logger.info('Order retrieved successfully', {
       orderId,
       userId: order.user_id,
-      status: order.status
+      status: order.status,
+      itemCount: order.items.length
     });
 
     res.json(order);
@@ -270,7 +547,7 @@ app.get('/orders/:id', async (req, res) => {
 });
 
 // Process payment for order
-app.post('/orders/:id/pay', async (req, res) => {
+app.post('/orders/:id/pay', idempotent, async (req, res) => {
   try {
     const { id } = req.params;
     const orderId = parseInt(id);
@@ -306,36 +583,22 @@ app.post('/orders/:id/pay', async (req, res) => {
       return res.status(400).json({ error: 'Order already paid' });
     }
 
-    // Process payment through payment service
+    // Run the pay flow as a persisted saga so a crash or DB failure between the
+    // charge and the status update is recovered or compensated
     const paymentStart = Date.now();
-    const paymentResponse = await axios.post('http://payment-service:3003/pay', {
-      orderId: order.id,
-      amount: order.amount,
-      userId: order.user_id
-    }, { timeout: 10000 });
-
+    const { order: updatedOrder, payment } = await executePaymentSaga(orderId);
     const paymentDuration = Date.now() - paymentStart;
 
-    // Update order status
-    const updateResult = await pool.query(`
-      UPDATE orders 
-      SET status = 'paid', 
-          payment_details = $2, 
-          paid_at = NOW()
-      WHERE id = $1
-      RETURNING *
-    `, [id, JSON.stringify(paymentResponse.data)]);
-
     logger.info('Order payment processed successfully', {
       orderId,
-      transactionId: paymentResponse.data.transactionId,
+      transactionId: payment.transactionId,
       amount: order.amount,
       paymentServiceResponseTime: `${paymentDuration}ms`
     });
     
     res.json({
-      order: updateResult.rows[0],
-      payment: paymentResponse.data
+      order: updatedOrder,
+      payment
     });
 
   } catch (error) {
@@ -345,10 +608,17 @@ app.post('/orders/:id/pay', async (req, res) => {
       errorType: 'payment_processing_error'
     });
 
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        error: `Order cannot be paid while ${error.from}`,
+        currentStatus: error.from
+      });
+    }
+
     if (error.response?.status === 402) {
       return res.status(402).json({ error: 'Payment failed: ' + error.response.data.error });
     }
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    if (UNAVAILABLE_ERROR_CODES.includes(error.code)) {
       return res.status(503).json({ error: 'Payment service unavailable' });
     }
     if (error.code === 'ECONNABORTED') {
@@ -359,6 +629,175 @@ app.post('/orders/:id/pay', async (req, res) => {
   }
 });
 
+// Routes that reach the statuses PATCH /orders/:id/status refuses to set
+const MANUAL_STATUS_ALTERNATIVES = {
+  cancelled: 'DELETE /orders/:id',
+  refund_pending: 'POST /orders/:id/refunds',
+  partially_refunded: 'POST /orders/:id/refunds',
+  refunded: 'POST /orders/:id/refunds',
+  payment_processing: 'POST /orders/:id/pay',
+  paid: 'POST /orders/:id/pay'
+};
+
+// Update the fulfilment status of an order (shipped, delivered)
+app.patch('/orders/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const orderId = parseInt(id);
+    const { status, reason } = req.body;
+
+    logger.info('Updating order status', {
+      orderId,
+      requestedStatus: status,
+      route: 'PATCH /orders/:id/status'
+    });
+
+    if (isNaN(orderId)) {
+      logger.warn('Invalid order ID for status update', {
+        providedId: id
+      });
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    if (!status || !ORDER_STATUSES.includes(status)) {
+      logger.warn('Invalid order status requested', {
+        orderId,
+        requestedStatus: status
+      });
+      return res.status(400).json({
+        error: `Invalid status: must be one of ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    if (!MANUAL_STATUSES.includes(status)) {
+      logger.warn('Order status not settable manually', {
+        orderId,
+        requestedStatus: status
+      });
+      return res.status(409).json({
+        error: `Status ${status} cannot be set manually: must be one of ${MANUAL_STATUSES.join(', ')}`,
+        ...(MANUAL_STATUS_ALTERNATIVES[status] && { use: MANUAL_STATUS_ALTERNATIVES[status] })
+      });
+    }
+
+    const updatedOrder = await withTransaction(db => transitionOrder(db, orderId, status, {
+      reason: reason || 'manual_update'
+    }));
+
+    res.json(updatedOrder);
+
+  } catch (error) {
+    if (error.code === 'ORDER_NOT_FOUND') {
+      logger.warn('Order not found for status update', {
+        orderId: req.params.id
+      });
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      logger.warn('Illegal order status transition rejected', {
+        orderId: req.params.id,
+        fromStatus: error.from,
+        toStatus: error.to
+      });
+      return res.status(409).json({
+        error: error.message,
+        currentStatus: error.from,
+        allowedTransitions: error.allowed.filter(next => MANUAL_STATUSES.includes(next))
+      });
+    }
+
+    logger.logError(error, {
+      route: 'PATCH /orders/:id/status',
+      orderId: req.params.id,
+      errorType: 'order_status_update_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get order status history
+app.get('/orders/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const orderId = parseInt(id);
+
+    logger.info('Retrieving order status history', {
+      orderId,
+      route: '/orders/:id/history'
+    });
+
+    if (isNaN(orderId)) {
+      logger.warn('Invalid order ID for history', {
+        providedId: id
+      });
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    const orderResult = await pool.query('SELECT id, status FROM orders WHERE id = $1', [orderId]);
+    if (orderResult.rows.length === 0) {
+      logger.warn('Order not found for history', {
+        orderId
+      });
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const historyResult = await pool.query(
+      'SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+      [orderId]
+    );
+
+    res.json({
+      orderId,
+      currentStatus: orderResult.rows[0].status,
+      history: historyResult.rows
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/orders/:id/history',
+      orderId: req.params.id,
+      errorType: 'order_history_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get payment sagas for an order
+app.get('/orders/:id/sagas', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const orderId = parseInt(id);
+
+    logger.info('Retrieving order payment sagas', {
+      orderId,
+      route: '/orders/:id/sagas'
+    });
+
+    if (isNaN(orderId)) {
+      logger.warn('Invalid order ID for sagas', {
+        providedId: id
+      });
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    const sagasResult = await pool.query(
+      'SELECT * FROM sagas WHERE order_id = $1 ORDER BY created_at DESC, id DESC',
+      [orderId]
+    );
+
+    res.json({
+      orderId,
+      sagas: sagasResult.rows
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/orders/:id/sagas',
+      orderId: req.params.id,
+      errorType: 'order_sagas_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Cancel order
 app.delete('/orders/:id', async (req, res) => {
   try {
@@ -387,37 +826,102 @@ app.delete('/orders/:id', async (req, res) => {
     }
 
     const order = orderResult.rows[0];
+    const reason = req.body?.reason || req.query.reason || 'customer_request';
+    const needsRefund = order.status === 'paid';
+
+    if (order.status === 'refund_pending' || !(needsRefund || canTransition(order.status, 'cancelled'))) {
+      logger.warn('Order cannot be cancelled in its current status', {
+        orderId,
+        currentStatus: order.status
+      });
+      return res.status(409).json({
+        error: order.status === 'refund_pending'
+          ? 'Order cancellation already in progress'
+          : `Order cannot be cancelled while ${order.status}`,
+        currentStatus: order.status
+      });
+    }
+
+    if (needsRefund && !transactionIdOf(order)) {
+      logger.error('Paid order has no payment transaction to refund', { orderId });
+      return res.status(409).json({
+        error: 'Paid order has no payment transaction to refund and needs manual review',
+        currentStatus: order.status
+      });
+    }
+
+    if (!needsRefund) {
+      const cancelledOrder = await withTransaction(db => transitionOrder(db, orderId, 'cancelled', {
+        reason,
+        fields: {
+          cancellation_reason: reason,
+          cancelled_at: new Date(),
+          refund_status: 'not_required'
+        }
+      }));
+
+      logger.info('Order cancelled successfully', {
+        orderId,
+        previousStatus: order.status,
+        reason
+      });
+
+      return res.json({ message: 'Order cancelled successfully', cancelledOrder });
+    }
+
+    // Paid orders move to refund_pending first, so the row is claimed before the
+    // refund call and survives a payment-service outage or a crash mid-way. The
+    // refund is worked out from the order as locked there.
+    const pendingRefundOrder = await startCancellationRefund(orderId, reason);
 
-    // If order was paid, process refund
-    if (order.status === 'paid' && order.payment_details) {
-      try {
-        await axios.post('http://payment-service:3003/refund', {
-          transactionId: JSON.parse(order.payment_details).transactionId,
-          amount: order.amount,
-          reason: 'order_cancellation'
-        }, { timeout: 5000 });
-        
-        logger.info('Refund processed for cancelled order', {
+    let refund;
+    try {
+      refund = await requestRefund(pendingRefundOrder, 'order_cancellation');
+    } catch (refundError) {
+      const { order: pendingOrder, rejected } = await recordRefundFailure(orderId, refundError);
+
+      if (rejected) {
+        logger.error('Refund rejected by payment service, order needs manual review', {
           orderId,
-          transactionId: JSON.parse(order.payment_details).transactionId
+          transactionId: transactionIdOf(order),
+          statusCode: refundError.response.status,
+          error: refundError.response.data?.error
         });
-      } catch (error) {
-        logger.error('Failed to process refund', {
-          orderId,
-          error: error.message
+        return res.status(502).json({
+          error: 'Refund rejected by payment service, order left for manual review',
+          cancelledOrder: pendingOrder
         });
       }
+
+      logger.error('Failed to process refund, order left refund_pending for retry', {
+        orderId,
+        transactionId: transactionIdOf(order),
+        error: refundError.message
+      });
+
+      return res.status(202).json({
+        message: 'Order cancellation accepted, refund pending',
+        cancelledOrder: pendingOrder
+      });
     }
 
-    // Delete order
-    await pool.query('DELETE FROM orders WHERE id = $1', [id]);
-    
-    logger.info('Order cancelled successfully', {
+    const cancelledOrder = await withTransaction(db => transitionOrder(db, orderId, 'cancelled', {
+      reason: 'refund_completed',
+      metadata: { refundId: refund.refund_id },
+      fields: {
+        refund_status: 'processed',
+        refund_details: JSON.stringify(refund)
+      }
+    }));
+
+    logger.info('Order cancelled and refunded successfully', {
       orderId,
-      previousStatus: order.status
+      transactionId: transactionIdOf(order),
+      refundId: refund.refund_id,
+      reason
     });
 
-    res.json({ message: 'Order cancelled successfully', cancelledOrder: order });
+    res.json({ message: 'Order cancelled successfully', cancelledOrder, refund });
 
   } catch (error) {
     logger.logError(error, {
@@ -425,57 +929,784 @@ app.delete('/orders/:id', async (req, res) => {
       orderId: req.params.id,
       errorType: 'order_cancellation_error'
     });
+    if (error.code === 'REFUND_IN_PROGRESS') {
+      return res.status(409).json({ error: 'Order has a refund in progress, retry once it completes' });
+    }
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        error: `Order cannot be cancelled while ${error.from}`,
+        currentStatus: error.from
+      });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Order analytics with user demographics
-app.get('/analytics/orders', async (req, res) => {
+// Refund part of a paid order, optionally tied to line items
+app.post('/orders/:id/refunds', async (req, res) => {
   try {
-    logger.info('Generating order analytics', {
-      route: '/analytics/orders'
+    const { id } = req.params;
+    const orderId = parseInt(id);
+
+    logger.info('Processing order refund request', {
+      orderId,
+      route: '/orders/:id/refunds',
+      requestBody: req.body
     });
 
-    const totalOrdersResult = await pool.query('SELECT COUNT(*) FROM orders');
-    const statusResult = await pool.query(`
-      SELECT status, COUNT(*) as count, SUM(amount) as revenue
-      FROM orders 
-      GROUP BY status
-    `);
-    const avgResult = await pool.query('SELECT AVG(amount) as avg_order_value FROM orders');
-
-    // Get user demographics for analytics
-    const ordersResult = await pool.query('SELECT user_id FROM orders');
-    const userPromises = ordersResult.rows.map(order => 
-      axios.get(`http://user-service:3001/users/${order.user_id}/profile`, {
-        timeout: 3000
-      }).catch(err => {
-        logger.warn('Failed to fetch user profile for analytics', {
-          userId: order.user_id,
-          error: err.message
-        });
-        return { data: { demographics: 'unknown' } };
-      })
-    );
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
 
-    const userProfiles = await Promise.all(userPromises);
+    const { refund: request, error: validationError } = validateRefundRequest(req.body);
+    if (validationError) {
+      logger.warn('Invalid refund request', {
+        orderId,
+        error: validationError
+      });
+      return res.status(400).json({ error: validationError });
+    }
 
-    const analytics = {
-      totalOrders: parseInt(totalOrdersResult.rows[0].count),
-      ordersByStatus: {},
-      totalRevenue: 0,
-      averageOrderValue: parseFloat(avgResult.rows[0].avg_order_value) || 0,
-      userDemographics: userProfiles.map(p => p.data.demographics || 'unknown'),
-      generatedAt: new Date().toISOString()
-    };
+    let refund;
+    try {
+      refund = await createOrderRefund(orderId, request);
+    } catch (refundError) {
+      const statusCodes = {
+        ORDER_NOT_FOUND: 404,
+        ORDER_NOT_REFUNDABLE: 409,
+        INVALID_REFUND_ITEMS: 400,
+        REFUND_EXCEEDS_BALANCE: 400
+      };
+      if (!statusCodes[refundError.code]) throw refundError;
+
+      logger.warn('Order refund rejected', {
+        orderId,
+        code: refundError.code,
+        error: refundError.message
+      });
+      return res.status(statusCodes[refundError.code]).json({
+        error: refundError.message,
+        currentStatus: refundError.status,
+        remaining: refundError.remaining,
+        itemsValue: refundError.itemsValue
+      });
+    }
 
+    const result = await submitOrderRefund(refund);
+
+    if (result.outcome === 'processed') {
+      return res.status(201).json({ refund: result.refund, order: result.order });
+    }
+    if (result.outcome === 'failed') {
+      return res.status(409).json({
+        error: 'Refund rejected by payment service',
+        reason: result.error,
+        refund: result.refund
+      });
+    }
+    res.status(202).json({
+      message: 'Refund accepted and pending with the payment service',
+      refund: result.refund
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/orders/:id/refunds',
+      orderId: req.params.id,
+      errorType: 'order_refund_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List partial refunds of an order
+app.get('/orders/:id/refunds', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    const orderResult = await pool.query(
+      'SELECT id, status, amount, refunded_amount FROM orders WHERE id = $1',
+      [orderId]
+    );
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = orderResult.rows[0];
+    res.json({
+      orderId,
+      status: order.status,
+      amount: parseFloat(order.amount),
+      refundedAmount: parseFloat(order.refunded_amount),
+      refunds: await getOrderRefunds(orderId)
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/orders/:id/refunds',
+      orderId: req.params.id,
+      errorType: 'order_refunds_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a product to the catalog
+app.post('/products', async (req, res) => {
+  try {
+    const { product, error: productError } = validateProduct(req.body);
+    // Initial stock; products start with none unless onHand is given
+    const { levels, error: validationError } = productError
+      ? { error: productError }
+      : validateStockLevels(req.body);
+    if (validationError) {
+      logger.warn('Invalid product', {
+        route: '/products',
+        error: validationError,
+        requestBody: req.body
+      });
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await withTransaction(async (db) => {
+      const row = await createProduct(db, product);
+      const inventory = await createInventory(db, row.sku, levels);
+      return { ...row, inventory };
+    });
+    logger.info('Product created', { sku: created.sku, price: created.price, onHand: levels.on_hand });
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Product with SKU ${req.body.sku} already exists` });
+    }
+    logger.logError(error, {
+      route: '/products',
+      sku: req.body.sku,
+      errorType: 'product_creation_error'
+    });
+    res.status(500).json({ error: 'Failed to create product' });
+  }
+});
+
+// List catalog products; takes the list grammar (active=true, category[in]=...)
+app.get('/products', async (req, res) => {
+  try {
+    const { listQuery, error: queryError } = parseListQuery(req.query, PRODUCT_LIST_SCHEMA);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const { page, error: pageError } = parsePagination(req.query, { sort: listQuery.sort });
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    const { conditions, params } = listQuery;
+    const pageQuery = pageClause(page, conditions, params);
+    const result = await pool.query(
+      `SELECT ${selectColumns(listQuery, PRODUCT_LIST_SCHEMA)}, ${PAGE_KEY_SQL} FROM products${pageQuery.sql}`,
+      pageQuery.params
+    );
+    const { rows: products, next_cursor, prev_cursor } = buildPage(page, result.rows);
+
+    let total;
+    if (page.includeTotal) {
+      let countQuery = 'SELECT COUNT(*) FROM products';
+      if (conditions.length > 0) {
+        countQuery += ' WHERE ' + conditions.join(' AND ');
+      }
+      const countResult = await pool.query(countQuery, params);
+      total = parseInt(countResult.rows[0].count);
+    }
+
+    res.json({
+      products,
+      total,
+      filtered: products.length,
+      next_cursor,
+      prev_cursor
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/products',
+      errorType: 'products_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/products/:sku', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.sku);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(product);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/products/:sku',
+      sku: req.params.sku,
+      errorType: 'product_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update price, details or availability. Existing orders keep the price they were placed at.
+app.patch('/products/:sku', async (req, res) => {
+  try {
+    const { product: changes, error: validationError } = validateProduct(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const product = await updateProduct(req.params.sku, changes);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    logger.info('Product updated', { sku: product.sku, fields: Object.keys(changes) });
+    res.json(product);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/products/:sku',
+      sku: req.params.sku,
+      errorType: 'product_update_error'
+    });
+    res.status(500).json({ error: 'Failed to update product' });
+  }
+});
+
+// Deactivate a product. It stays in the catalog, since order items reference
+// its SKU, but new orders for it are rejected.
+app.delete('/products/:sku', async (req, res) => {
+  try {
+    const product = await updateProduct(req.params.sku, { active: false });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    logger.info('Product deactivated', { sku: product.sku });
+    res.json(product);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/products/:sku',
+      sku: req.params.sku,
+      errorType: 'product_deactivation_error'
+    });
+    res.status(500).json({ error: 'Failed to deactivate product' });
+  }
+});
+
+// Create a coupon
+app.post('/coupons', async (req, res) => {
+  try {
+    const { coupon, error: validationError } = validateCoupon(req.body);
+    if (validationError) {
+      logger.warn('Invalid coupon', {
+        route: '/coupons',
+        error: validationError,
+        requestBody: req.body
+      });
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await createCoupon(coupon);
+    logger.info('Coupon created', {
+      code: created.code,
+      type: created.discount_type,
+      value: created.discount_value
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Coupon ${req.body.code} already exists` });
+    }
+    logger.logError(error, {
+      route: '/coupons',
+      code: req.body.code,
+      errorType: 'coupon_creation_error'
+    });
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+app.get('/coupons', async (req, res) => {
+  try {
+    const { listQuery, error: queryError } = parseListQuery(req.query, COUPON_LIST_SCHEMA);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const { page, error: pageError } = parsePagination(req.query, { sort: listQuery.sort });
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
+
+    const { conditions, params } = listQuery;
+    const pageQuery = pageClause(page, conditions, params);
+    const result = await pool.query(
+      `SELECT ${selectColumns(listQuery, COUPON_LIST_SCHEMA)}, ${PAGE_KEY_SQL} FROM coupons${pageQuery.sql}`,
+      pageQuery.params
+    );
+    const { rows: coupons, next_cursor, prev_cursor } = buildPage(page, result.rows);
+
+    let total;
+    if (page.includeTotal) {
+      let countQuery = 'SELECT COUNT(*) FROM coupons';
+      if (conditions.length > 0) {
+        countQuery += ' WHERE ' + conditions.join(' AND ');
+      }
+      const countResult = await pool.query(countQuery, params);
+      total = parseInt(countResult.rows[0].count);
+    }
+
+    res.json({
+      coupons,
+      total,
+      filtered: coupons.length,
+      next_cursor,
+      prev_cursor
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/coupons',
+      errorType: 'coupons_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/coupons/:code', async (req, res) => {
+  try {
+    const coupon = await getCoupon(req.params.code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/coupons/:code',
+      code: req.params.code,
+      errorType: 'coupon_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change limits, window or value. Orders already placed keep their discount.
+app.patch('/coupons/:code', async (req, res) => {
+  try {
+    const { coupon: changes, error: validationError } = validateCoupon(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const coupon = await updateCoupon(req.params.code, changes);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    logger.info('Coupon updated', { code: coupon.code, fields: Object.keys(changes) });
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'Coupon update violates a constraint' });
+    }
+    logger.logError(error, {
+      route: '/coupons/:code',
+      code: req.params.code,
+      errorType: 'coupon_update_error'
+    });
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Deactivate a coupon; its redemptions stay on record
+app.delete('/coupons/:code', async (req, res) => {
+  try {
+    const coupon = await updateCoupon(req.params.code, { active: false });
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    logger.info('Coupon deactivated', { code: coupon.code });
+    res.json(coupon);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/coupons/:code',
+      code: req.params.code,
+      errorType: 'coupon_deactivation_error'
+    });
+    res.status(500).json({ error: 'Failed to deactivate coupon' });
+  }
+});
+
+// Status codes for the coded errors the cart operations throw
+const CART_ERROR_STATUS = {
+  INVALID_CART_ITEM: 400,
+  CART_EMPTY: 400,
+  CART_ITEM_NOT_FOUND: 404,
+  PRICE_MISMATCH: 409
+};
+
+function sendCartError(res, error, route, userId) {
+  const status = CART_ERROR_STATUS[error.code];
+  if (status) {
+    logger.warn('Cart request rejected', { route, userId, code: error.code, error: error.message });
+    return res.status(status).json({
+      error: error.message,
+      ...(error.currentPrice !== undefined && { sku: error.sku, currentPrice: error.currentPrice })
+    });
+  }
+  logger.logError(error, { route, userId, errorType: 'cart_error' });
+  res.status(500).json({ error: 'Failed to update cart' });
+}
+
+const parseUserId = (value) => {
+  const userId = parseInt(value);
+  return isNaN(userId) || userId <= 0 ? null : userId;
+};
+
+app.get('/carts/:userId', async (req, res) => {
+  try {
+    const userId = parseUserId(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.json(await getCart(userId));
+  } catch (error) {
+    logger.logError(error, {
+      route: '/carts/:userId',
+      userId: req.params.userId,
+      errorType: 'cart_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a SKU ({ sku, quantity, unitPrice? }); unitPrice, when sent, must match the catalog
+app.post('/carts/:userId/items', async (req, res) => {
+  const userId = parseUserId(req.params.userId);
+  try {
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    const { item, error: validationError } = validateCartItem(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const cart = await addCartItem(userId, item);
+    logger.info('Cart item added', { userId, sku: item.sku, quantity: item.quantity });
+    res.status(201).json(cart);
+  } catch (error) {
+    sendCartError(res, error, '/carts/:userId/items', userId);
+  }
+});
+
+// Set the quantity of a line ({ quantity, unitPrice? })
+app.patch('/carts/:userId/items/:sku', async (req, res) => {
+  const userId = parseUserId(req.params.userId);
+  try {
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    const { item, error: validationError } = validateCartItem(req.body, { requireSku: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json(await updateCartItem(userId, req.params.sku, item));
+  } catch (error) {
+    sendCartError(res, error, '/carts/:userId/items/:sku', userId);
+  }
+});
+
+app.delete('/carts/:userId/items/:sku', async (req, res) => {
+  const userId = parseUserId(req.params.userId);
+  try {
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    res.json(await removeCartItem(userId, req.params.sku));
+  } catch (error) {
+    sendCartError(res, error, '/carts/:userId/items/:sku', userId);
+  }
+});
+
+app.delete('/carts/:userId', async (req, res) => {
+  try {
+    const userId = parseUserId(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    if (!(await clearCart(userId))) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.logError(error, {
+      route: '/carts/:userId',
+      userId: req.params.userId,
+      errorType: 'cart_deletion_error'
+    });
+    res.status(500).json({ error: 'Failed to delete cart' });
+  }
+});
+
+// Place the cart as one multi-item order, optionally with { couponCode, currency }.
+// Responds 409 with the changed prices when the catalog moved since items were
+// added; the cart then carries the new prices and a repeated checkout places
+// the order.
+app.post('/carts/:userId/checkout', idempotent, async (req, res) => {
+  const userId = parseUserId(req.params.userId);
+  try {
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const { couponCode } = req.body || {};
+    if (couponCode !== undefined && (typeof couponCode !== 'string' || couponCode.trim() === '')) {
+      return res.status(400).json({ error: 'couponCode must be a non-empty string' });
+    }
+    const { currency, error: currencyError } = parseOrderCurrency(req.body);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const { user, verified: userVerified } = await lookupUserForOrder(userId);
+    const { order, priceChanges } = await checkoutCart(userId, user, { couponCode, currency, userVerified });
+
+    if (priceChanges) {
+      logger.warn('Checkout stopped: cart prices changed', { userId, priceChanges });
+      return res.status(409).json({
+        error: 'Prices changed since items were added to the cart',
+        priceChanges
+      });
+    }
+
+    logger.info('Cart checked out', {
+      orderId: order.id,
+      userId,
+      itemCount: order.items.length,
+      amount: order.amount,
+      currency: order.currency
+    });
+    res.status(201).json(order);
+  } catch (error) {
+    if (sendOrderCreationError(res, error, userId)) return;
+    if (CART_ERROR_STATUS[error.code]) {
+      return sendCartError(res, error, '/carts/:userId/checkout', userId);
+    }
+    logger.logError(error, {
+      route: '/carts/:userId/checkout',
+      userId,
+      errorType: 'checkout_error'
+    });
+    res.status(500).json({ error: 'Failed to check out cart' });
+  }
+});
+
+// Stock levels for a SKU
+app.get('/inventory/:sku', async (req, res) => {
+  try {
+    const inventory = await getInventory(req.params.sku);
+    if (!inventory) {
+      return res.status(404).json({ error: 'No inventory for this SKU' });
+    }
+
+    res.json({
+      sku: inventory.sku,
+      onHand: inventory.on_hand,
+      reserved: inventory.reserved,
+      available: inventory.available,
+      lowStockThreshold: inventory.low_stock_threshold,
+      lowStock: inventory.available <= inventory.low_stock_threshold,
+      openReservations: parseInt(inventory.open_reservations),
+      updatedAt: inventory.updated_at
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/inventory/:sku',
+      sku: req.params.sku,
+      errorType: 'inventory_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restock or correct stock levels ({ onHand, lowStockThreshold })
+app.patch('/inventory/:sku', async (req, res) => {
+  try {
+    const { levels, error: validationError } = validateStockLevels(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const inventory = await withTransaction(db => updateInventory(db, req.params.sku, levels));
+    if (!inventory) {
+      return res.status(404).json({ error: 'No inventory for this SKU' });
+    }
+
+    logger.info('Inventory updated', { sku: inventory.sku, ...levels });
+    res.json(inventory);
+  } catch (error) {
+    if (error.code === 'STOCK_BELOW_RESERVED') {
+      return res.status(409).json({ error: error.message, reserved: error.reserved });
+    }
+    logger.logError(error, {
+      route: '/inventory/:sku',
+      sku: req.params.sku,
+      errorType: 'inventory_update_error'
+    });
+    res.status(500).json({ error: 'Failed to update inventory' });
+  }
+});
+
+// Exchange rates orders in other currencies are priced at
+app.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await listExchangeRates();
+    res.json({
+      baseCurrency: BASE_CURRENCY,
+      rates: rates.map(rate => ({
+        currency: rate.currency,
+        rateToInr: parseFloat(rate.rate_to_inr),
+        updatedAt: rate.updated_at
+      }))
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/exchange-rates',
+      errorType: 'exchange_rate_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the rate for a currency ({ rateToInr }); applies to orders placed from now on
+app.put('/exchange-rates/:currency', async (req, res) => {
+  const currency = req.params.currency.toUpperCase();
+  try {
+    const { rate, error: validationError } = validateExchangeRate(currency, req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updated = await setExchangeRate(currency, rate);
+    logger.info('Exchange rate updated', { currency, rateToInr: rate });
+    res.json({
+      currency: updated.currency,
+      rateToInr: parseFloat(updated.rate_to_inr),
+      updatedAt: updated.updated_at
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/exchange-rates/:currency',
+      currency,
+      errorType: 'exchange_rate_update_error'
+    });
+    res.status(500).json({ error: 'Failed to update exchange rate' });
+  }
+});
+
+// Order analytics with user demographics
+app.get('/analytics/orders', async (req, res) => {
+  try {
+    const { window, error: windowError } = parseAnalyticsWindow(req.query);
+
+    logger.info('Generating order analytics', {
+      route: '/analytics/orders',
+      window
+    });
+
+    if (windowError) {
+      logger.warn('Invalid analytics window', {
+        route: '/analytics/orders',
+        query: req.query,
+        error: windowError
+      });
+      return res.status(400).json({ error: windowError });
+    }
+
+    const inWindow = windowCondition(window);
+    const inWindowJoined = windowCondition(window, 'o.created_at', 1);
+
+    const totalOrdersResult = await pool.query(
+      `SELECT COUNT(*) FROM orders WHERE ${inWindow.sql}`,
+      inWindow.params
+    );
+    const statusResult = await pool.query(`
+      SELECT status, COUNT(*) as count, SUM(amount_inr) as revenue,
+             ROUND(SUM(refunded_amount * exchange_rate), 2) as refunded,
+             ROUND(SUM(discount_amount * exchange_rate), 2) as discounted
+      FROM orders 
+      WHERE ${inWindow.sql}
+      GROUP BY status
+    `, inWindow.params);
+    const avgResult = await pool.query(
+      `SELECT AVG(amount_inr) as avg_order_value FROM orders WHERE ${inWindow.sql}`,
+      inWindow.params
+    );
+    const productResult = await pool.query(`
+      SELECT oi.product_name,
+             COUNT(DISTINCT oi.order_id) as order_count,
+             SUM(oi.quantity) as units_ordered,
+             SUM(CASE WHEN o.status = ANY($1) THEN oi.quantity ELSE 0 END) as units_sold,
+             ROUND(SUM(CASE WHEN o.status = ANY($1) THEN oi.line_total * o.exchange_rate ELSE 0 END), 2) as revenue
+      FROM order_items oi
+      JOIN orders o ON o.id = oi.order_id
+      WHERE ${inWindowJoined.sql}
+      GROUP BY oi.product_name
+      ORDER BY revenue DESC
+    `, [REVENUE_STATUSES, ...inWindowJoined.params]);
+
+    // Get user demographics for analytics, one lookup per distinct user
+    const ordersByUserResult = await pool.query(`
+      SELECT user_id, COUNT(*) as order_count
+      FROM orders
+      WHERE ${inWindow.sql}
+      GROUP BY user_id
+    `, inWindow.params);
+    const userProfiles = await fetchUserProfiles(ordersByUserResult.rows.map(row => row.user_id));
+
+    const analytics = {
+      totalOrders: parseInt(totalOrdersResult.rows[0].count),
+      ordersByStatus: {},
+      totalRevenue: 0,
+      totalRefunded: 0,
+      totalDiscounts: 0,
+      averageOrderValue: parseFloat(avgResult.rows[0].avg_order_value) || 0,
+      salesByProduct: productResult.rows.map(row => ({
+        product: row.product_name,
+        orders: parseInt(row.order_count),
+        unitsOrdered: parseInt(row.units_ordered),
+        unitsSold: parseInt(row.units_sold),
+        revenue: parseFloat(row.revenue) || 0
+      })),
+      revenueByCurrency: await getRevenueByCurrency(window),
+      salesByCategory: await getSalesByDimension(window, 'category'),
+      salesByBrand: await getSalesByDimension(window, 'brand'),
+      taxSummary: await getTaxSummary(window),
+      userDemographics: summarizeDemographics(ordersByUserResult.rows, userProfiles),
+      generatedAt: new Date().toISOString()
+    };
+
+    // Totals are in INR (see orderAnalytics.js)
     statusResult.rows.forEach(row => {
       analytics.ordersByStatus[row.status] = parseInt(row.count);
-      if (row.status === 'paid') {
-        analytics.totalRevenue = parseFloat(row.revenue) || 0;
+      analytics.totalRefunded += parseFloat(row.refunded) || 0;
+      if (REVENUE_STATUSES.includes(row.status)) {
+        analytics.totalRevenue += parseFloat(row.revenue) || 0;
+        analytics.totalDiscounts += parseFloat(row.discounted) || 0;
       }
     });
 
+    if (window) {
+      analytics.window = window;
+      analytics.timeSeries = await getOrderTimeSeries(window);
+    }
+
     logger.info('Order analytics generated successfully', {
       totalOrders: analytics.totalOrders,
       totalRevenue: analytics.totalRevenue
@@ -491,6 +1722,87 @@ app.get('/analytics/orders', async (req, res) => {
   }
 });
 
+// Outbox delivery status
+app.get('/outbox/events', async (req, res) => {
+  try {
+    const { status, eventType, limit = 50 } = req.query;
+
+    logger.info('Retrieving outbox events', {
+      route: '/outbox/events',
+      filters: { status, eventType, limit }
+    });
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: must be one of ${OUTBOX_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await listOutboxEvents({ status, eventType, limit: parseInt(limit) || 50 });
+    res.json(result);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events',
+      errorType: 'outbox_events_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/outbox/events/:id', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+
+    const event = await getOutboxEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Outbox event not found' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events/:id',
+      eventId: req.params.id,
+      errorType: 'outbox_event_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/outbox/events/:id/retry', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+
+    if (!(await getOutboxEvent(eventId))) {
+      return res.status(404).json({ error: 'Outbox event not found' });
+    }
+
+    const event = await requeueOutboxEvent(eventId);
+    if (!event) {
+      return res.status(409).json({ error: 'Only failed outbox events can be retried' });
+    }
+
+    logger.info('Outbox event requeued', {
+      eventId,
+      eventType: event.event_type
+    });
+    res.json(event);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events/:id/retry',
+      eventId: req.params.id,
+      errorType: 'outbox_event_retry_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Metrics endpoint
 app.get('/metrics', async (req, res) => {
   logger.debug('Metrics endpoint accessed');
@@ -510,10 +1822,105 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
-app.post('/webhooks/user-updated', (req, res) => {
-  const { userId, changes, timestamp } = req.body;
-  console.log(`Received webhook: user ${userId} updated at ${timestamp}`, changes);
-  // Handle update logic here (e.g., update order records)
+// User profile changes from user-service
+app.post('/webhooks/user-updated', async (req, res) => {
+  try {
+    const { userId, changes, timestamp } = req.body;
+    const eventId = req.get('X-Event-Id') || req.body.eventId || `${userId}:${timestamp}`;
+
+    const validationError = validateUserUpdate({ userId, changes, timestamp });
+    if (validationError) {
+      logger.warn('Invalid user-updated webhook payload', {
+        route: '/webhooks/user-updated',
+        error: validationError,
+        requestBody: req.body
+      });
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await withTransaction(db => applyUserUpdate(db, {
+      eventId: String(eventId),
+      userId: parseInt(userId),
+      changes,
+      timestamp
+    }));
+
+    logger.info('User-updated webhook processed', {
+      eventId,
+      userId,
+      outcome: result.outcome,
+      ordersUpdated: result.ordersUpdated || 0,
+      changedFields: Object.keys(changes)
+    });
+
+    res.status(200).json({
+      eventId,
+      userId: parseInt(userId),
+      outcome: result.outcome,
+      ordersUpdated: result.ordersUpdated || 0,
+      version: result.snapshot?.version
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/webhooks/user-updated',
+      userId: req.body.userId,
+      errorType: 'user_webhook_error'
+    });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Last user-updated event applied for a user
+app.get('/user-snapshots/:userId', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const snapshot = await getUserSnapshot(userId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'No updates processed for this user' });
+    }
+
+    res.json({
+      userId,
+      version: snapshot.version,
+      lastEventId: snapshot.last_event_id,
+      lastEventAt: snapshot.last_event_at,
+      data: snapshot.data,
+      updatedAt: snapshot.updated_at
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/user-snapshots/:userId',
+      userId: req.params.userId,
+      errorType: 'user_snapshot_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Refunds and voids issued by payment-service
+app.post('/webhooks/payment-updated', (req, res) => {
+  const { eventType, orderId, transactionId, amount, timestamp } = req.body;
+
+  if (!eventType || !transactionId) {
+    logger.warn('Payment update webhook missing required fields', {
+      route: '/webhooks/payment-updated',
+      requestBody: req.body
+    });
+    return res.status(400).json({ error: 'eventType and transactionId are required' });
+  }
+
+  logger.info('Payment update webhook received', {
+    eventId: req.get('X-Event-Id'),
+    eventType,
+    orderId,
+    transactionId,
+    amount,
+    timestamp
+  });
   res.sendStatus(200);
 });
 
@@ -553,6 +1960,13 @@ app.get('/health', async (req, res) => {
 
     // Get order count from database
     const orderCountResult = await pool.query('SELECT COUNT(*) FROM orders');
+    const refundPendingResult = await pool.query(
+      "SELECT COUNT(*) FROM orders WHERE status = 'refund_pending'"
+    );
+    const activeSagasResult = await pool.query(
+      'SELECT COUNT(*) FROM sagas WHERE status = ANY($1)',
+      [ACTIVE_SAGA_STATUSES]
+    );
 
     res.status(200).json({
       status: Object.values(statusReport).every(s => s === 'ok') ? 'ok' : 'partial',
@@ -561,7 +1975,10 @@ app.get('/health', async (req, res) => {
       status_results: safeResults,
       services: statusReport,
       deps: statusReport,
-      ordersCount: parseInt(orderCountResult.rows[0].count)
+      circuitBreakers: circuitBreakerStates(),
+      ordersCount: parseInt(orderCountResult.rows[0].count),
+      refundPendingCount: parseInt(refundPendingResult.rows[0].count),
+      activeSagasCount: parseInt(activeSagasResult.rows[0].count)
     });
 
   } catch (error) {
@@ -609,6 +2026,15 @@ app.use((req, res) => {
   });
 });
 
+// Background workers, started once the database is ready
+let stopRefundRetryWorker = () => {};
+let stopSagaRecoveryWorker = () => {};
+let stopIdempotencyKeyCleanup = () => {};
+let stopOutboxDispatcher = () => {};
+let stopCartCleanup = () => {};
+let stopOrderExpiryWorker = () => {};
+let stopUserVerificationWorker = () => {};
+
 // Start server
 const server = app.listen(port, '0.0.0.0', () => {
   logger.info('Order service started successfully', {
@@ -617,10 +2043,20 @@ const server = app.listen(port, '0.0.0.0', () => {
     processId: process.pid,
     service: 'order-service'
   });
-  initDB().catch(err => {
-    logger.logError(err, { context: 'Database initialization failed' });
-    process.exit(1);
-  });
+  initDB()
+    .then(() => {
+      stopRefundRetryWorker = startRefundRetryWorker();
+      stopSagaRecoveryWorker = startSagaRecoveryWorker();
+      stopIdempotencyKeyCleanup = startIdempotencyKeyCleanup(pool);
+      stopOutboxDispatcher = startOutboxDispatcher();
+      stopCartCleanup = startCartCleanup();
+      stopOrderExpiryWorker = startOrderExpiryWorker();
+      stopUserVerificationWorker = startUserVerificationWorker();
+    })
+    .catch(err => {
+      logger.logError(err, { context: 'Database initialization failed' });
+      process.exit(1);
+    });
 });
 
 // Graceful shutdown handling
@@ -629,6 +2065,14 @@ const gracefulShutdown = (signal) => {
     service: 'order-service'
   });
   
+  stopRefundRetryWorker();
+  stopSagaRecoveryWorker();
+  stopIdempotencyKeyCleanup();
+  stopOutboxDispatcher();
+  stopCartCleanup();
+  stopOrderExpiryWorker();
+  stopUserVerificationWorker();
+
   server.close((err) => {
     if (err) {
       logger.logError(err, { context: 'Graceful shutdown failed' });
@@ -0,0 +1,257 @@
+// inventory.js
+//
+// Stock per SKU. available = on_hand - reserved. Creating an order reserves
+// its quantities, paying commits them (on_hand and reserved both drop) and
+// cancelling releases them. Reservations are taken with a conditional UPDATE
+// on the inventory row, so concurrent orders for the last units serialize on
+// the row lock and only as many succeed as there is stock.
+const logger = require('./logger');
+const { pool } = require('./db');
+const { client } = require('./metrics');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 10;
+
+const reservationCounter = new client.Counter({
+  name: 'inventory_reservations_total',
+  help: 'Inventory reservation outcomes',
+  labelNames: ['outcome']
+});
+
+// Refreshed from the inventory table on every scrape. The registry reads the
+// gauges concurrently, so they share one query per scrape.
+let stockRefresh = null;
+const refreshStockGaugesOnce = () => {
+  if (!stockRefresh) {
+    stockRefresh = refreshStockGauges().finally(() => {
+      stockRefresh = null;
+    });
+  }
+  return stockRefresh;
+};
+
+const availableGauge = new client.Gauge({
+  name: 'inventory_available_units',
+  help: 'Units on hand and not reserved, per SKU',
+  labelNames: ['sku'],
+  collect: refreshStockGaugesOnce
+});
+
+const lowStockGauge = new client.Gauge({
+  name: 'inventory_low_stock',
+  help: '1 when available units are at or below the low-stock threshold, per SKU',
+  labelNames: ['sku'],
+  collect: refreshStockGaugesOnce
+});
+
+const lowStockSkusGauge = new client.Gauge({
+  name: 'inventory_low_stock_skus',
+  help: 'Number of active SKUs at or below their low-stock threshold',
+  collect: refreshStockGaugesOnce
+});
+
+async function refreshStockGauges() {
+  try {
+    const result = await pool.query(`
+      SELECT i.sku, i.on_hand - i.reserved as available, i.low_stock_threshold
+      FROM inventory i
+      JOIN products p ON p.sku = i.sku
+      WHERE p.active
+    `);
+    availableGauge.reset();
+    lowStockGauge.reset();
+    let lowStock = 0;
+    result.rows.forEach(row => {
+      const isLow = row.available <= row.low_stock_threshold;
+      availableGauge.set({ sku: row.sku }, row.available);
+      lowStockGauge.set({ sku: row.sku }, isLow ? 1 : 0);
+      if (isLow) lowStock++;
+    });
+    lowStockSkusGauge.set(lowStock);
+  } catch (error) {
+    logger.logError(error, { errorType: 'inventory_metrics_error' });
+  }
+}
+
+// Inventory rows are always locked in this order so concurrent orders cannot deadlock
+const bySku = (a, b) => (a.sku < b.sku ? -1 : a.sku > b.sku ? 1 : 0);
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+// Validates { onHand, lowStockThreshold } from POST /products or PATCH /inventory/:sku.
+// With partial, at least one is required; otherwise both default.
+function validateStockLevels(body = {}, { partial = false } = {}) {
+  const levels = {};
+
+  if (body.onHand !== undefined) {
+    if (!isNonNegativeInteger(body.onHand)) return { error: 'onHand must be a non-negative integer' };
+    levels.on_hand = body.onHand;
+  } else if (!partial) {
+    levels.on_hand = 0;
+  }
+
+  if (body.lowStockThreshold !== undefined) {
+    if (!isNonNegativeInteger(body.lowStockThreshold)) {
+      return { error: 'lowStockThreshold must be a non-negative integer' };
+    }
+    levels.low_stock_threshold = body.lowStockThreshold;
+  } else if (!partial) {
+    levels.low_stock_threshold = DEFAULT_LOW_STOCK_THRESHOLD;
+  }
+
+  if (partial && Object.keys(levels).length === 0) {
+    return { error: 'onHand or lowStockThreshold is required' };
+  }
+  return { levels };
+}
+
+async function createInventory(db, sku, levels) {
+  const result = await db.query(`
+    INSERT INTO inventory (sku, on_hand, low_stock_threshold)
+    VALUES ($1, $2, $3)
+    RETURNING *
+  `, [sku, levels.on_hand, levels.low_stock_threshold]);
+  return result.rows[0];
+}
+
+// Sets stock levels. Lowering on_hand below what is reserved fails with
+// STOCK_BELOW_RESERVED rather than breaking existing reservations.
+async function updateInventory(db, sku, levels) {
+  const current = await db.query('SELECT * FROM inventory WHERE sku = $1 FOR UPDATE', [sku]);
+  if (current.rows.length === 0) return null;
+
+  if (levels.on_hand !== undefined && levels.on_hand < current.rows[0].reserved) {
+    const err = new Error(`onHand cannot be below the ${current.rows[0].reserved} reserved units`);
+    err.code = 'STOCK_BELOW_RESERVED';
+    err.reserved = current.rows[0].reserved;
+    throw err;
+  }
+
+  const columns = Object.keys(levels);
+  const result = await db.query(`
+    UPDATE inventory
+    SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+    WHERE sku = $1
+    RETURNING *
+  `, [sku, ...Object.values(levels)]);
+  return result.rows[0];
+}
+
+async function getInventory(sku) {
+  const result = await pool.query(`
+    SELECT i.*, i.on_hand - i.reserved as available,
+           (SELECT COUNT(*) FROM inventory_reservations r
+            WHERE r.sku = i.sku AND r.status = 'reserved') as open_reservations
+    FROM inventory i
+    WHERE i.sku = $1
+  `, [sku]);
+  return result.rows[0] || null;
+}
+
+// Reserves stock for an order's items inside the order's transaction. Quantities
+// are summed per SKU and rows are locked in SKU order. Throws OUT_OF_STOCK (with sku, requested, available) when a
+// SKU is short; the caller's transaction then rolls back every reservation.
+async function reserveStock(db, orderId, items) {
+  const quantities = new Map();
+  items.forEach(item => quantities.set(item.sku, (quantities.get(item.sku) || 0) + item.quantity));
+
+  const requested = [...quantities].map(([sku, quantity]) => ({ sku, quantity })).sort(bySku);
+  for (const { sku, quantity } of requested) {
+    const reserved = await db.query(`
+      UPDATE inventory
+      SET reserved = reserved + $2, updated_at = NOW()
+      WHERE sku = $1 AND on_hand - reserved >= $2
+      RETURNING sku
+    `, [sku, quantity]);
+
+    if (reserved.rows.length === 0) {
+      const stock = await db.query('SELECT on_hand - reserved as available FROM inventory WHERE sku = $1', [sku]);
+      reservationCounter.inc({ outcome: 'out_of_stock' });
+      const err = new Error(`Insufficient stock for SKU ${sku}`);
+      err.code = 'OUT_OF_STOCK';
+      err.sku = sku;
+      err.requested = quantity;
+      err.available = stock.rows[0] ? Math.max(stock.rows[0].available, 0) : 0;
+      throw err;
+    }
+
+    await db.query(`
+      INSERT INTO inventory_reservations (order_id, sku, quantity)
+      VALUES ($1, $2, $3)
+    `, [orderId, sku, quantity]);
+  }
+
+  reservationCounter.inc({ outcome: 'reserved' }, requested.length);
+}
+
+// Paid: the reserved units leave the warehouse
+async function commitReservations(db, orderId) {
+  const result = await db.query(`
+    UPDATE inventory_reservations
+    SET status = 'committed', updated_at = NOW()
+    WHERE order_id = $1 AND status = 'reserved'
+    RETURNING sku, quantity
+  `, [orderId]);
+
+  for (const row of result.rows.sort(bySku)) {
+    await db.query(`
+      UPDATE inventory
+      SET on_hand = on_hand - $2, reserved = reserved - $2, updated_at = NOW()
+      WHERE sku = $1
+    `, [row.sku, row.quantity]);
+  }
+
+  if (result.rows.length > 0) reservationCounter.inc({ outcome: 'committed' }, result.rows.length);
+  return result.rows.length;
+}
+
+// Cancelled or expired: open reservations are released, and units of an order
+// that was already paid (but never shipped) go back on hand
+async function releaseReservations(db, orderId, reason) {
+  const result = await db.query(`
+    WITH previous AS (
+      SELECT id, status FROM inventory_reservations
+      WHERE order_id = $1 AND status IN ('reserved', 'committed')
+      FOR UPDATE
+    )
+    UPDATE inventory_reservations r
+    SET status = 'released', release_reason = $2, updated_at = NOW()
+    FROM previous
+    WHERE r.id = previous.id
+    RETURNING r.sku, r.quantity, previous.status as previous_status
+  `, [orderId, reason]);
+
+  for (const row of result.rows.sort(bySku)) {
+    await db.query(
+      row.previous_status === 'reserved'
+        ? 'UPDATE inventory SET reserved = reserved - $2, updated_at = NOW() WHERE sku = $1'
+        : 'UPDATE inventory SET on_hand = on_hand + $2, updated_at = NOW() WHERE sku = $1',
+      [row.sku, row.quantity]
+    );
+  }
+
+  if (result.rows.length > 0) reservationCounter.inc({ outcome: 'released' }, result.rows.length);
+  return result.rows.length;
+}
+
+// Called by transitionOrder so reservations follow the order status in the
+// same transaction as the status change
+async function syncReservations(db, orderId, toStatus, reason) {
+  if (toStatus === 'paid') {
+    return commitReservations(db, orderId);
+  }
+  if (toStatus === 'cancelled') {
+    return releaseReservations(db, orderId, reason || 'cancelled');
+  }
+  return 0;
+}
+
+module.exports = {
+  validateStockLevels,
+  createInventory,
+  updateInventory,
+  getInventory,
+  reserveStock,
+  commitReservations,
+  releaseReservations,
+  syncReservations
+};
@@ -0,0 +1,195 @@
+// 001_baseline.js
+//
+// Schema as it stood before versioned migrations. Every statement is
+// idempotent so databases that were set up by the old initDB or by
+// migration.sql are adopted as-is. orders.user_id has no foreign key to
+// users: that table belongs to user-service, whose migrations may not have
+// run yet.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      user_data JSONB NOT NULL,
+      product JSONB NOT NULL,
+      amount NUMERIC(10,2) NOT NULL,
+      status VARCHAR(50) DEFAULT 'pending',
+      payment_details JSONB,
+      paid_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      reason VARCHAR(255),
+      metadata JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query(
+    'CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id)'
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_items (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      product JSONB NOT NULL,
+      product_name VARCHAR(255) NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      unit_price NUMERIC(10,2) NOT NULL,
+      line_total NUMERIC(10,2) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_order_items_product_name ON order_items(product_name)');
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cancellation_reason VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS refund_status VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS refund_details JSONB,
+      ADD COLUMN IF NOT EXISTS refund_attempts INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_refund_attempt_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(10,2) NOT NULL DEFAULT 0
+  `);
+  await db.query(
+    'ALTER TABLE order_items ADD COLUMN IF NOT EXISTS refunded_quantity INTEGER NOT NULL DEFAULT 0'
+  );
+
+  // Keyset pagination on GET /orders walks this index
+  await db.query('CREATE INDEX IF NOT EXISTS idx_orders_created_at_id ON orders(created_at DESC, id DESC)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_refunds (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      reference VARCHAR(100) UNIQUE NOT NULL,
+      transaction_id VARCHAR(100) NOT NULL,
+      amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+      reason VARCHAR(255) NOT NULL,
+      items JSONB,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      payment_refund_id VARCHAR(100),
+      details JSONB,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_attempt_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      processed_at TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_order_refunds_order_id ON order_refunds(order_id)');
+  await db.query(
+    'CREATE INDEX IF NOT EXISTS idx_order_refunds_status ON order_refunds(status, last_attempt_at)'
+  );
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sagas (
+      id SERIAL PRIMARY KEY,
+      saga_type VARCHAR(50) NOT NULL,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      status VARCHAR(30) NOT NULL,
+      current_step VARCHAR(50),
+      payment_reference VARCHAR(100) UNIQUE NOT NULL,
+      transaction_id VARCHAR(100),
+      payment_details JSONB,
+      steps JSONB NOT NULL DEFAULT '[]',
+      attempts INTEGER DEFAULT 0,
+      compensation_attempts INTEGER DEFAULT 0,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_sagas_status_updated_at ON sagas(status, updated_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_sagas_order_id ON sagas(order_id)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_snapshots (
+      user_id INTEGER PRIMARY KEY,
+      data JSONB NOT NULL DEFAULT '{}',
+      version INTEGER NOT NULL DEFAULT 0,
+      last_event_id VARCHAR(100),
+      last_event_at TIMESTAMPTZ,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_update_events (
+      event_id VARCHAR(100) PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      changes JSONB NOT NULL,
+      event_timestamp TIMESTAMPTZ NOT NULL,
+      outcome VARCHAR(20),
+      orders_updated INTEGER DEFAULT 0,
+      received_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Shared with the other services
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      idempotency_key VARCHAR(255) NOT NULL,
+      scope VARCHAR(255) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      response_status INTEGER,
+      response_body JSONB,
+      locked_at TIMESTAMP DEFAULT NOW(),
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (scope, idempotency_key)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS outbox_events (
+      id SERIAL PRIMARY KEY,
+      event_type VARCHAR(100) NOT NULL,
+      destination VARCHAR(255) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      last_status_code INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_outbox_events_due ON outbox_events(status, next_attempt_at)');
+
+  // Backfill single-product orders created before order_items existed
+  await db.query(`
+    INSERT INTO order_items (order_id, product, product_name, quantity, unit_price, line_total)
+    SELECT o.id, o.product,
+           COALESCE(o.product->>'name', o.product #>> '{}', 'unnamed'),
+           1, o.amount, o.amount
+    FROM orders o
+    WHERE jsonb_typeof(o.product) <> 'array'
+      AND NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id)
+  `);
+}
+
+// idempotency_keys and outbox_events are shared with the other services and stay
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS user_update_events');
+  await db.query('DROP TABLE IF EXISTS user_snapshots');
+  await db.query('DROP TABLE IF EXISTS sagas');
+  await db.query('DROP TABLE IF EXISTS order_refunds');
+  await db.query('DROP TABLE IF EXISTS order_items');
+  await db.query('DROP TABLE IF EXISTS order_status_history');
+  await db.query('DROP TABLE IF EXISTS orders');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,77 @@
+// 002_product_catalog.js
+//
+// Product catalog used to price orders on the server. order_items keep a
+// snapshot of the SKU, category and brand so analytics can group sales even
+// after a product is edited or deactivated. The seed covers the products the
+// load tests order by name.
+
+const SEED_PRODUCTS = [
+  ['LAPTOP-DELL', 'Laptop', 'Electronics', 'Dell', 899.99],
+  ['COFFEE-MUG', 'Coffee Mug', 'Kitchen', 'Generic', 29.99],
+  ['BOOK-NODEJS-GUIDE', 'Book', 'Education', null, 49.99],
+  ['HEADPHONES-SONY', 'Headphones', 'Electronics', 'Sony', 199.99],
+  ['TSHIRT-M', 'T-Shirt', 'Clothing', null, 29.99],
+  ['GAMING-LAPTOP-ASUS', 'Gaming Laptop', 'Electronics', 'ASUS', 899.99],
+  ['SMARTPHONE-SAMSUNG', 'Smartphone', 'Electronics', 'Samsung', 699.99],
+  ['COFFEE-MACHINE-NESPRESSO', 'Coffee Machine', 'Appliances', 'Nespresso', 299.99],
+  ['RUNNING-SHOES-NIKE', 'Running Shoes', 'Sports', 'Nike', 129.99],
+  ['BT-SPEAKER-JBL', 'Bluetooth Speaker', 'Audio', 'JBL', 79.99],
+  ['PHONE-GENERIC', 'Phone', 'Electronics', null, 599.99],
+  ['TABLET-GENERIC', 'Tablet', 'Electronics', null, 399.99],
+  ['MOUSE-GENERIC', 'Mouse', 'Electronics', null, 49.99]
+];
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      sku VARCHAR(64) UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      category VARCHAR(255) NOT NULL,
+      brand VARCHAR(255),
+      price NUMERIC(10,2) NOT NULL CHECK (price > 0),
+      active BOOLEAN NOT NULL DEFAULT true,
+      attributes JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_products_lower_name ON products(LOWER(name))');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_products_created_at_id ON products(created_at DESC, id DESC)');
+
+  for (const [sku, name, category, brand, price] of SEED_PRODUCTS) {
+    await db.query(`
+      INSERT INTO products (sku, name, category, brand, price)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (sku) DO NOTHING
+    `, [sku, name, category, brand, price]);
+  }
+
+  await db.query(`
+    ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS sku VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS category VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS brand VARCHAR(255)
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_order_items_sku ON order_items(sku)');
+
+  // Items ordered before the catalog carry category and brand in their product JSON
+  await db.query(`
+    UPDATE order_items
+    SET category = product->>'category',
+        brand = product->>'brand'
+    WHERE category IS NULL AND jsonb_typeof(product) = 'object'
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE order_items
+      DROP COLUMN IF EXISTS sku,
+      DROP COLUMN IF EXISTS category,
+      DROP COLUMN IF EXISTS brand
+  `);
+  await db.query('DROP TABLE IF EXISTS products');
+}
+
+module.exports = { up, down };
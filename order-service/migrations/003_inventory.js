@@ -0,0 +1,51 @@
+// 003_inventory.js
+//
+// Stock levels per SKU and the reservations orders hold against them. The
+// CHECKs are the last line of defence against overselling; inventory.js never
+// relies on them being hit. Existing products start with SEED_STOCK units so
+// the load tests can keep ordering them.
+
+const SEED_STOCK = 100000;
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS inventory (
+      sku VARCHAR(64) PRIMARY KEY REFERENCES products(sku),
+      on_hand INTEGER NOT NULL DEFAULT 0 CHECK (on_hand >= 0),
+      reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+      low_stock_threshold INTEGER NOT NULL DEFAULT 10,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CHECK (reserved <= on_hand)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS inventory_reservations (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      sku VARCHAR(64) NOT NULL REFERENCES inventory(sku),
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      status VARCHAR(20) NOT NULL DEFAULT 'reserved',
+      release_reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (order_id, sku)
+    )
+  `);
+  await db.query(
+    'CREATE INDEX IF NOT EXISTS idx_inventory_reservations_sku_status ON inventory_reservations(sku, status)'
+  );
+
+  await db.query(`
+    INSERT INTO inventory (sku, on_hand)
+    SELECT sku, $1 FROM products
+    ON CONFLICT (sku) DO NOTHING
+  `, [SEED_STOCK]);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS inventory_reservations');
+  await db.query('DROP TABLE IF EXISTS inventory');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// 004_carts.js
+//
+// One cart per user. cart_items.unit_price is the catalog price when the item
+// was last added or updated; checkout compares it with the current price.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS carts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_carts_expires_at ON carts(expires_at)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS cart_items (
+      id SERIAL PRIMARY KEY,
+      cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+      sku VARCHAR(64) NOT NULL REFERENCES products(sku),
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      unit_price NUMERIC(10,2) NOT NULL,
+      added_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (cart_id, sku)
+    )
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS cart_items');
+  await db.query('DROP TABLE IF EXISTS carts');
+}
+
+module.exports = { up, down };
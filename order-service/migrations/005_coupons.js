@@ -0,0 +1,72 @@
+// 005_coupons.js
+//
+// Coupons and their redemptions. Orders record the subtotal before discount
+// and the breakdown of the coupon applied; each item records its share of the
+// discount so refunds can return what was actually paid for it.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS coupons (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(64) UNIQUE NOT NULL,
+      discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'flat')),
+      discount_value NUMERIC(10,2) NOT NULL CHECK (discount_value > 0),
+      max_discount NUMERIC(10,2),
+      min_order_value NUMERIC(10,2) NOT NULL DEFAULT 0,
+      usage_limit INTEGER,
+      per_user_limit INTEGER,
+      times_used INTEGER NOT NULL DEFAULT 0,
+      categories TEXT[],
+      valid_from TIMESTAMP,
+      valid_until TIMESTAMP,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_coupons_created_at_id ON coupons(created_at DESC, id DESC)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS coupon_redemptions (
+      id SERIAL PRIMARY KEY,
+      coupon_id INTEGER NOT NULL REFERENCES coupons(id),
+      order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL,
+      discount NUMERIC(10,2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'applied',
+      created_at TIMESTAMP DEFAULT NOW(),
+      released_at TIMESTAMP
+    )
+  `);
+  await db.query(
+    'CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id)'
+  );
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS subtotal NUMERIC(10,2),
+      ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS discount_breakdown JSONB
+  `);
+  await db.query('UPDATE orders SET subtotal = amount WHERE subtotal IS NULL');
+
+  await db.query(
+    'ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount NUMERIC(10,2) NOT NULL DEFAULT 0'
+  );
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE order_items DROP COLUMN IF EXISTS discount');
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS subtotal,
+      DROP COLUMN IF EXISTS discount_amount,
+      DROP COLUMN IF EXISTS coupon_code,
+      DROP COLUMN IF EXISTS discount_breakdown
+  `);
+  await db.query('DROP TABLE IF EXISTS coupon_redemptions');
+  await db.query('DROP TABLE IF EXISTS coupons');
+}
+
+module.exports = { up, down };
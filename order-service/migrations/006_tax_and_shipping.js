@@ -0,0 +1,62 @@
+// 006_tax_and_shipping.js
+//
+// GST rate per product, and the GST and shipping charged on each order. Orders
+// placed earlier were untaxed and keep zero tax and shipping.
+
+// Rates for the seeded catalog where they differ from the 18% default
+const SEED_GST_RATES = {
+  'BOOK-NODEJS-GUIDE': 0,
+  'TSHIRT-M': 5,
+  'COFFEE-MUG': 12
+};
+
+async function up(db) {
+  await db.query(`
+    ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5,2) NOT NULL DEFAULT 18
+  `);
+  for (const [sku, rate] of Object.entries(SEED_GST_RATES)) {
+    await db.query('UPDATE products SET gst_rate = $2 WHERE sku = $1', [sku, rate]);
+  }
+
+  await db.query(`
+    ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS taxable_value NUMERIC(10,2),
+      ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS cgst NUMERIC(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS sgst NUMERIC(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS igst NUMERIC(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(10,2) NOT NULL DEFAULT 0
+  `);
+  await db.query('UPDATE order_items SET taxable_value = line_total - discount WHERE taxable_value IS NULL');
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS shipping_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS supply_type VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS tax_breakdown JSONB
+  `);
+}
+
+async function down(db) {
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS tax_amount,
+      DROP COLUMN IF EXISTS shipping_amount,
+      DROP COLUMN IF EXISTS supply_type,
+      DROP COLUMN IF EXISTS tax_breakdown
+  `);
+  await db.query(`
+    ALTER TABLE order_items
+      DROP COLUMN IF EXISTS taxable_value,
+      DROP COLUMN IF EXISTS gst_rate,
+      DROP COLUMN IF EXISTS cgst,
+      DROP COLUMN IF EXISTS sgst,
+      DROP COLUMN IF EXISTS igst,
+      DROP COLUMN IF EXISTS tax_amount
+  `);
+  await db.query('ALTER TABLE products DROP COLUMN IF EXISTS gst_rate');
+}
+
+module.exports = { up, down };
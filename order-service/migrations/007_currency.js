@@ -0,0 +1,56 @@
+// 007_currency.js
+//
+// ISO 4217 currency per order and refund, and the exchange rates used to
+// price orders in the buyer's currency. Rates are INR per unit of currency and
+// are managed through PUT /exchange-rates/:currency; the seed values are only
+// a starting point. Each order keeps the rate it was priced at and its amount
+// in INR so analytics can add up orders in different currencies.
+
+const SEED_RATES = {
+  INR: 1,
+  USD: 83.25,
+  EUR: 90.1,
+  GBP: 105.4,
+  AED: 22.67,
+  SGD: 61.8
+};
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      currency CHAR(3) PRIMARY KEY,
+      rate_to_inr NUMERIC(18,8) NOT NULL CHECK (rate_to_inr > 0),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  for (const [currency, rate] of Object.entries(SEED_RATES)) {
+    await db.query(`
+      INSERT INTO exchange_rates (currency, rate_to_inr)
+      VALUES ($1, $2)
+      ON CONFLICT (currency) DO NOTHING
+    `, [currency, rate]);
+  }
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'INR',
+      ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS amount_inr NUMERIC(12,2)
+  `);
+  await db.query('UPDATE orders SET amount_inr = amount WHERE amount_inr IS NULL');
+
+  await db.query("ALTER TABLE order_refunds ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'INR'");
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE order_refunds DROP COLUMN IF EXISTS currency');
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS currency,
+      DROP COLUMN IF EXISTS exchange_rate,
+      DROP COLUMN IF EXISTS amount_inr
+  `);
+  await db.query('DROP TABLE IF EXISTS exchange_rates');
+}
+
+module.exports = { up, down };
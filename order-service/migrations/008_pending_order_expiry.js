@@ -0,0 +1,16 @@
+// 008_pending_order_expiry.js
+//
+// Partial index for the order expiry worker, which looks up the oldest
+// pending orders on every pass.
+
+async function up(db) {
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_orders_pending_created_at ON orders(created_at) WHERE status = 'pending'"
+  );
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_orders_pending_created_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// 009_user_verification.js
+//
+// Orders placed from the cached user snapshot while user-service was
+// unreachable. user_verified is false until the reconciliation worker confirms
+// the user with user-service; user_verified_at records when it checked, so an
+// order that is still unverified after a check belongs to a user that no
+// longer exists. user_snapshots.fetched_at marks snapshots holding a full
+// profile from a lookup rather than only the fields of user-updated events.
+
+async function up(db) {
+  await db.query('ALTER TABLE user_snapshots ADD COLUMN IF NOT EXISTS fetched_at TIMESTAMP');
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS user_verified BOOLEAN NOT NULL DEFAULT true,
+      ADD COLUMN IF NOT EXISTS user_verified_at TIMESTAMP
+  `);
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_orders_unverified_created_at ON orders(created_at)
+    WHERE user_verified = false AND user_verified_at IS NULL
+  `);
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_orders_unverified_created_at');
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN IF EXISTS user_verified,
+      DROP COLUMN IF EXISTS user_verified_at
+  `);
+  await db.query('ALTER TABLE user_snapshots DROP COLUMN IF EXISTS fetched_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// 010_failed_order_expiry.js
+//
+// The order expiry worker also cancels orders left failed after a declined
+// payment, so its partial index covers both unpaid statuses.
+
+async function up(db) {
+  await db.query('DROP INDEX IF EXISTS idx_orders_pending_created_at');
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_orders_unpaid_created_at ON orders(created_at) WHERE status IN ('pending', 'failed')"
+  );
+}
+
+async function down(db) {
+  await db.query('DROP INDEX IF EXISTS idx_orders_unpaid_created_at');
+  await db.query(
+    "CREATE INDEX IF NOT EXISTS idx_orders_pending_created_at ON orders(created_at) WHERE status = 'pending'"
+  );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,195 @@
+// migrator.js
+//
+// Versioned schema migrations. Each service keeps its own migrations in
+// ./migrations as NNN_description.js files exporting async up(db) and
+// down(db); applied versions are recorded in schema_migrations under the
+// service name, since all services share one database.
+//
+//   node migrator.js status          list applied and pending migrations
+//   node migrator.js up [--to N]     apply pending migrations (up to version N)
+//   node migrator.js down [--to N]   roll back the latest migration (or down to version N)
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { pool } = require('./db');
+
+const SERVICE_NAME = require('./package.json').name;
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const MIGRATIONS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    service VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (service, version)
+  )
+`;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version: parseInt(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Runs fn on a dedicated client holding the migration advisory lock, so
+// replicas starting together apply each migration exactly once. The lock is
+// shared by all services: they create some tables (outbox_events,
+// idempotency_keys) in common, and concurrent CREATE TABLE IF NOT EXISTS races.
+async function withMigrationLock(fn) {
+  const dbClient = await pool.connect();
+  try {
+    await dbClient.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+    await dbClient.query(MIGRATIONS_TABLE_SQL);
+    return await fn(dbClient);
+  } finally {
+    await dbClient.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))").catch(() => {});
+    dbClient.release();
+  }
+}
+
+async function appliedVersions(db) {
+  const result = await db.query(
+    'SELECT version, name, applied_at FROM schema_migrations WHERE service = $1 ORDER BY version',
+    [SERVICE_NAME]
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Each migration runs in its own transaction together with its bookkeeping row
+async function runMigration(db, migration, direction) {
+  await db.query('BEGIN');
+  try {
+    await migration[direction](db);
+    if (direction === 'up') {
+      await db.query(
+        'INSERT INTO schema_migrations (service, version, name) VALUES ($1, $2, $3)',
+        [SERVICE_NAME, migration.version, migration.name]
+      );
+    } else {
+      await db.query(
+        'DELETE FROM schema_migrations WHERE service = $1 AND version = $2',
+        [SERVICE_NAME, migration.version]
+      );
+    }
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK').catch(() => {});
+    error.message = `Migration ${migration.version}_${migration.name} ${direction} failed: ${error.message}`;
+    throw error;
+  }
+
+  logger.info(`Migration ${direction === 'up' ? 'applied' : 'rolled back'}`, {
+    service: SERVICE_NAME,
+    version: migration.version,
+    name: migration.name
+  });
+}
+
+// Applies pending migrations in version order, stopping after version `to`
+async function migrateUp({ to = Infinity } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (db) => {
+    const applied = await appliedVersions(db);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+    for (const migration of pending) {
+      await runMigration(db, migration, 'up');
+    }
+    return pending.map(m => m.version);
+  });
+}
+
+// Rolls back the latest applied migration, or every one above version `to`
+async function migrateDown({ to } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (db) => {
+    const applied = await appliedVersions(db);
+    const candidates = migrations.filter(m => applied.has(m.version)).reverse();
+    const toRollBack = to === undefined ? candidates.slice(0, 1) : candidates.filter(m => m.version > to);
+    for (const migration of toRollBack) {
+      await runMigration(db, migration, 'down');
+    }
+    return toRollBack.map(m => m.version);
+  });
+}
+
+async function migrationStatus() {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (db) => {
+    const applied = await appliedVersions(db);
+    const known = new Set(migrations.map(m => m.version));
+    return {
+      service: SERVICE_NAME,
+      migrations: migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.has(m.version),
+        appliedAt: applied.get(m.version)?.applied_at || null
+      })),
+      // Applied in the database but missing from this build, e.g. after a rollback of the code
+      unknown: [...applied.values()].filter(row => !known.has(row.version))
+    };
+  });
+}
+
+async function runCli(argv) {
+  const [command = 'status', ...args] = argv;
+  const toIndex = args.indexOf('--to');
+  const to = toIndex === -1 ? undefined : parseInt(args[toIndex + 1]);
+  if (toIndex !== -1 && isNaN(to)) {
+    throw new Error('--to needs a migration version');
+  }
+
+  if (command === 'up') {
+    const versions = await migrateUp({ to });
+    console.log(versions.length ? `Applied: ${versions.join(', ')}` : 'Nothing to apply');
+  } else if (command === 'down') {
+    const versions = await migrateDown({ to });
+    console.log(versions.length ? `Rolled back: ${versions.join(', ')}` : 'Nothing to roll back');
+  } else if (command === 'status') {
+    const status = await migrationStatus();
+    console.log(`Migrations for ${status.service}:`);
+    status.migrations.forEach(m => {
+      const state = m.applied ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+      console.log(`  ${String(m.version).padStart(3, '0')} ${m.name.padEnd(40)} ${state}`);
+    });
+    status.unknown.forEach(row => {
+      console.log(`  ${String(row.version).padStart(3, '0')} ${row.name.padEnd(40)} applied, missing locally`);
+    });
+  } else {
+    throw new Error(`Unknown command: ${command} (expected status, up or down)`);
+  }
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus
+};
@@ -0,0 +1,23 @@
+// money.js
+
+// Catalog prices, coupon values and shipping charges are set in INR
+const BASE_CURRENCY = 'INR';
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Work in paise (or the minor unit of the order's currency) so line totals,
+// discounts and refunds don't drift with float math
+const toPaise = (value) => Math.round(parseFloat(value) * 100);
+const fromPaise = (paise) => paise / 100;
+
+// Conversions for a currency quoted at rateToInr INR per unit
+const fromInr = (amountInr, rateToInr) => fromPaise(Math.round(toPaise(amountInr) / rateToInr));
+const toInr = (amount, rateToInr) => fromPaise(Math.round(toPaise(amount) * rateToInr));
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCY_CODE_PATTERN,
+  toPaise,
+  fromPaise,
+  fromInr,
+  toInr
+};
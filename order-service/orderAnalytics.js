@@ -0,0 +1,209 @@
+// orderAnalytics.js
+const { pool } = require('./db');
+const { toPaise, fromPaise } = require('./money');
+
+const ANALYTICS_INTERVALS = ['hour', 'day', 'week'];
+const INTERVAL_MS = { hour: 3600000, day: 86400000, week: 604800000 };
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_BUCKETS = 1000;
+
+// Statuses whose amount counts as revenue; partial refunds are reported separately.
+// Orders may be priced in any currency, so every amount summed across orders is
+// converted to INR at the rate the order was placed at (amount_inr, exchange_rate);
+// getRevenueByCurrency reports the original currencies.
+const REVENUE_STATUSES = ['paid', 'shipped', 'delivered', 'partially_refunded'];
+
+// Parses from/to/interval query params. Resolves to { window } where window is
+// null when no time window was requested, or { error } for bad input.
+function parseAnalyticsWindow({ from, to, interval }) {
+  if (!from && !to && !interval) return { window: null };
+
+  const bucketInterval = interval || 'day';
+  if (!ANALYTICS_INTERVALS.includes(bucketInterval)) {
+    return { error: `Invalid interval: must be one of ${ANALYTICS_INTERVALS.join(', ')}` };
+  }
+
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - DEFAULT_WINDOW_DAYS * INTERVAL_MS.day);
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    return { error: 'from and to must be ISO-8601 dates' };
+  }
+  if (fromDate >= toDate) {
+    return { error: 'from must be before to' };
+  }
+  if ((toDate - fromDate) / INTERVAL_MS[bucketInterval] > MAX_BUCKETS) {
+    return { error: `Window too large for ${bucketInterval} buckets (max ${MAX_BUCKETS})` };
+  }
+
+  return { window: { from: fromDate, to: toDate, interval: bucketInterval } };
+}
+
+// WHERE fragment restricting a query to the window, numbering params after offset
+const windowCondition = (window, column = 'created_at', offset = 0) => window
+  ? { sql: `${column} >= $${offset + 1} AND ${column} < $${offset + 2}`, params: [window.from, window.to] }
+  : { sql: 'TRUE', params: [] };
+
+// Revenue, order count and average order value per bucket, with empty buckets as zeros
+async function getOrderTimeSeries(window) {
+  const result = await pool.query(`
+    SELECT b.bucket,
+           COUNT(o.id) as order_count,
+           COUNT(o.id) FILTER (WHERE o.status = ANY($4)) as paid_count,
+           COALESCE(SUM(o.amount_inr) FILTER (WHERE o.status = ANY($4)), 0) as revenue,
+           AVG(o.amount_inr) FILTER (WHERE o.status = ANY($4)) as avg_order_value
+    FROM generate_series(
+           date_trunc($3, $1::timestamp),
+           $2::timestamp - interval '1 microsecond',
+           ('1 ' || $3)::interval
+         ) AS b(bucket)
+    LEFT JOIN orders o
+      ON date_trunc($3, o.created_at) = b.bucket
+     AND o.created_at >= $1 AND o.created_at < $2
+    GROUP BY b.bucket
+    ORDER BY b.bucket
+  `, [window.from, window.to, window.interval, REVENUE_STATUSES]);
+
+  return result.rows.map(row => ({
+    bucket: row.bucket,
+    orders: parseInt(row.order_count),
+    paidOrders: parseInt(row.paid_count),
+    revenue: parseFloat(row.revenue) || 0,
+    averageOrderValue: parseFloat(row.avg_order_value) || 0
+  }));
+}
+
+// order_items columns sales can be grouped by; items without one are reported as 'unknown'
+const SALES_DIMENSIONS = ['category', 'brand'];
+
+// Orders, units and revenue per category or brand within the window
+async function getSalesByDimension(window, dimension) {
+  if (!SALES_DIMENSIONS.includes(dimension)) {
+    throw new Error(`Unknown sales dimension: ${dimension}`);
+  }
+
+  const inWindow = windowCondition(window, 'o.created_at', 1);
+  const result = await pool.query(`
+    SELECT COALESCE(oi.${dimension}, 'unknown') as key,
+           COUNT(DISTINCT oi.order_id) as order_count,
+           SUM(CASE WHEN o.status = ANY($1) THEN oi.quantity ELSE 0 END) as units_sold,
+           ROUND(SUM(CASE WHEN o.status = ANY($1) THEN oi.line_total * o.exchange_rate ELSE 0 END), 2) as revenue
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE ${inWindow.sql}
+    GROUP BY 1
+    ORDER BY revenue DESC
+  `, [REVENUE_STATUSES, ...inWindow.params]);
+
+  return result.rows.map(row => ({
+    [dimension]: row.key,
+    orders: parseInt(row.order_count),
+    unitsSold: parseInt(row.units_sold),
+    revenue: parseFloat(row.revenue) || 0
+  }));
+}
+
+// Revenue orders within the window per order currency, in that currency and in INR
+async function getRevenueByCurrency(window) {
+  const inWindow = windowCondition(window, 'created_at', 1);
+  const result = await pool.query(`
+    SELECT currency,
+           COUNT(*) as order_count,
+           SUM(amount) as revenue,
+           SUM(amount_inr) as revenue_inr,
+           SUM(refunded_amount) as refunded
+    FROM orders
+    WHERE status = ANY($1) AND ${inWindow.sql}
+    GROUP BY currency
+    ORDER BY currency
+  `, [REVENUE_STATUSES, ...inWindow.params]);
+
+  return Object.fromEntries(result.rows.map(row => [row.currency, {
+    orders: parseInt(row.order_count),
+    revenue: parseFloat(row.revenue) || 0,
+    revenueInr: parseFloat(row.revenue_inr) || 0,
+    refunded: parseFloat(row.refunded) || 0
+  }]));
+}
+
+// GST and shipping collected on revenue orders within the window, overall and
+// per supply type, in INR. Orders placed before tax was charged have no supply type.
+async function getTaxSummary(window) {
+  const inWindow = windowCondition(window, 'created_at', 1);
+  const result = await pool.query(`
+    SELECT COALESCE(supply_type, 'untaxed') as supply_type,
+           COUNT(*) as order_count,
+           ROUND(COALESCE(SUM((tax_breakdown->'totals'->>'taxableValue')::numeric * exchange_rate), 0), 2)
+             as taxable_value,
+           ROUND(COALESCE(SUM((tax_breakdown->'totals'->>'cgst')::numeric * exchange_rate), 0), 2) as cgst,
+           ROUND(COALESCE(SUM((tax_breakdown->'totals'->>'sgst')::numeric * exchange_rate), 0), 2) as sgst,
+           ROUND(COALESCE(SUM((tax_breakdown->'totals'->>'igst')::numeric * exchange_rate), 0), 2) as igst,
+           ROUND(SUM(tax_amount * exchange_rate), 2) as tax,
+           ROUND(SUM(shipping_amount * exchange_rate), 2) as shipping
+    FROM orders
+    WHERE status = ANY($1) AND ${inWindow.sql}
+    GROUP BY 1
+  `, [REVENUE_STATUSES, ...inWindow.params]);
+
+  const summary = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, shipping: 0, bySupplyType: {} };
+  result.rows.forEach(row => {
+    const entry = {
+      orders: parseInt(row.order_count),
+      taxableValue: parseFloat(row.taxable_value),
+      cgst: parseFloat(row.cgst),
+      sgst: parseFloat(row.sgst),
+      igst: parseFloat(row.igst),
+      totalTax: parseFloat(row.tax),
+      shipping: parseFloat(row.shipping)
+    };
+    summary.bySupplyType[row.supply_type] = entry;
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax', 'shipping'].forEach(key => {
+      summary[key] = fromPaise(toPaise(summary[key]) + toPaise(entry[key]));
+    });
+  });
+  return summary;
+}
+
+const increment = (distribution, key, by) => {
+  distribution[key] = (distribution[key] || 0) + by;
+};
+
+// Turns per-user order counts into order distributions by gender, income
+// bracket and city. orderCounts is [{ user_id, order_count }].
+function summarizeDemographics(orderCounts, profiles) {
+  const summary = {
+    gender: {},
+    incomeBracket: {},
+    city: {},
+    unknownOrders: 0
+  };
+
+  orderCounts.forEach(({ user_id: userId, order_count: count }) => {
+    const orders = parseInt(count);
+    const profile = profiles.get(userId);
+    if (!profile) {
+      summary.unknownOrders += orders;
+      return;
+    }
+
+    const demographics = profile.demographics || {};
+    const address = typeof profile.address === 'object' && profile.address ? profile.address : {};
+    increment(summary.gender, demographics.gender || 'unknown', orders);
+    increment(summary.incomeBracket, demographics.income_bracket || 'unknown', orders);
+    increment(summary.city, address.city || 'unknown', orders);
+  });
+
+  return summary;
+}
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  REVENUE_STATUSES,
+  parseAnalyticsWindow,
+  windowCondition,
+  getOrderTimeSeries,
+  getSalesByDimension,
+  getRevenueByCurrency,
+  getTaxSummary,
+  summarizeDemographics
+};
@@ -0,0 +1,116 @@
+// orderExpiry.js
+//
+// Cancels orders left unpaid (pending, or failed after a declined payment) for
+// PENDING_ORDER_TTL_MINUTES after they were placed, so they stop holding stock
+// and coupon uses. Expiry goes through transitionOrder like any cancellation:
+// reservations are released, the coupon redemption is given back and the
+// history records reason 'expired'.
+const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const { client } = require('./metrics');
+const { transitionOrder } = require('./orderStateMachine');
+const { ACTIVE_SAGA_STATUSES } = require('./paymentSaga');
+
+const PENDING_ORDER_TTL_MINUTES = parseInt(process.env.PENDING_ORDER_TTL_MINUTES) || 30;
+const ORDER_EXPIRY_INTERVAL_MS = parseInt(process.env.ORDER_EXPIRY_INTERVAL_MS) || 60000;
+const ORDER_EXPIRY_BATCH_SIZE = parseInt(process.env.ORDER_EXPIRY_BATCH_SIZE) || 100;
+
+const EXPIRY_REASON = 'expired';
+
+const expiredOrdersCounter = new client.Counter({
+  name: 'orders_expired_total',
+  help: 'Pending or failed orders cancelled after PENDING_ORDER_TTL_MINUTES without payment'
+});
+
+// Unpaid orders past the TTL; a failed order can be retried until then. An
+// order with a payment saga in flight is left alone; the saga either pays it
+// or puts it back to pending. The status list matches the partial index.
+const STALE_UNPAID_SQL = `
+  status IN ('pending', 'failed')
+  AND created_at < NOW() - make_interval(mins => $1)
+  AND NOT EXISTS (
+    SELECT 1 FROM sagas s WHERE s.order_id = orders.id AND s.status = ANY($2)
+  )
+`;
+
+// Cancels one order if it is still unpaid and stale once locked. SKIP LOCKED
+// leaves an order someone is paying or cancelling right now to them.
+async function expireOrder(orderId) {
+  return withTransaction(async (db) => {
+    const locked = await db.query(
+      `SELECT id FROM orders WHERE id = $3 AND ${STALE_UNPAID_SQL} FOR UPDATE SKIP LOCKED`,
+      [PENDING_ORDER_TTL_MINUTES, ACTIVE_SAGA_STATUSES, orderId]
+    );
+    if (locked.rows.length === 0) return null;
+
+    return transitionOrder(db, orderId, 'cancelled', {
+      reason: EXPIRY_REASON,
+      metadata: { ttlMinutes: PENDING_ORDER_TTL_MINUTES },
+      fields: {
+        cancellation_reason: EXPIRY_REASON,
+        cancelled_at: new Date(),
+        refund_status: 'not_required'
+      }
+    });
+  });
+}
+
+// Expires up to ORDER_EXPIRY_BATCH_SIZE stale unpaid orders, oldest first,
+// each in its own transaction. Resolves to the number expired.
+async function expirePendingOrders() {
+  const candidates = await pool.query(`
+    SELECT id FROM orders
+    WHERE ${STALE_UNPAID_SQL}
+    ORDER BY created_at ASC
+    LIMIT $3
+  `, [PENDING_ORDER_TTL_MINUTES, ACTIVE_SAGA_STATUSES, ORDER_EXPIRY_BATCH_SIZE]);
+
+  let expired = 0;
+  for (const { id } of candidates.rows) {
+    try {
+      const order = await expireOrder(id);
+      if (order) {
+        expired++;
+        expiredOrdersCounter.inc();
+      }
+    } catch (error) {
+      logger.logError(error, { orderId: id, context: 'Order expiry failed' });
+    }
+  }
+  return expired;
+}
+
+function startOrderExpiryWorker() {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const expired = await expirePendingOrders();
+      if (expired > 0) {
+        logger.info('Expired unpaid orders', {
+          count: expired,
+          ttlMinutes: PENDING_ORDER_TTL_MINUTES
+        });
+      }
+    } catch (error) {
+      logger.logError(error, { context: 'Order expiry worker failed' });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, ORDER_EXPIRY_INTERVAL_MS);
+
+  logger.info('Order expiry worker started', {
+    intervalMs: ORDER_EXPIRY_INTERVAL_MS,
+    ttlMinutes: PENDING_ORDER_TTL_MINUTES
+  });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  PENDING_ORDER_TTL_MINUTES,
+  expirePendingOrders,
+  startOrderExpiryWorker
+};
@@ -0,0 +1,159 @@
+// orderItems.js
+const { reserveStock } = require('./inventory');
+const { toPaise, fromPaise, fromInr, toInr } = require('./money');
+const { orderCurrencyRate } = require('./exchangeRates');
+const { applyCoupon, recordRedemption } = require('./coupons');
+const { priceOrder } = require('./pricing');
+
+// Accepts either the multi-item body ({ items: [{ sku, quantity }] }) or the
+// legacy single-product body ({ product, amount }) and returns the requested
+// { items } as [{ sku | product, quantity }], or { error } describing what is
+// wrong. Items that name a product instead of a SKU are matched by name;
+// prices are looked up in the catalog (productCatalog.resolveOrderItems) and
+// any amount or unitPrice sent by the client is ignored.
+function normalizeOrderItems(body) {
+  const { items, product, sku } = body;
+
+  const rawItems = Array.isArray(items)
+    ? items
+    : product !== undefined || sku !== undefined
+      ? [{ sku, product, quantity: body.quantity }]
+      : null;
+
+  if (!rawItems || rawItems.length === 0) {
+    return { error: 'Order must contain at least one item' };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < rawItems.length; i++) {
+    const item = rawItems[i] || {};
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+
+    if (item.sku !== undefined && typeof item.sku !== 'string') {
+      return { error: `Item ${i}: sku must be a string` };
+    }
+    if (!item.sku && !item.product) {
+      return { error: `Item ${i}: sku (or product) is required` };
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { error: `Item ${i}: quantity must be a positive integer` };
+    }
+
+    normalized.push(item.sku ? { sku: item.sku, quantity } : { product: item.product, quantity });
+  }
+
+  return { items: normalized };
+}
+
+const calculateOrderTotal = (items) =>
+  fromPaise(items.reduce((sum, item) => sum + toPaise(item.lineTotal), 0));
+
+// Value stored in orders.product: the product itself for single-item orders,
+// the list of products otherwise
+const orderProductSummary = (items) =>
+  items.length === 1 ? items[0].product : items.map(item => item.product);
+
+async function insertOrderItems(db, orderId, items) {
+  const rows = [];
+  for (const item of items) {
+    const { tax } = item;
+    const result = await db.query(`
+      INSERT INTO order_items
+        (order_id, product, product_name, sku, category, brand, quantity, unit_price, line_total, discount,
+         taxable_value, gst_rate, cgst, sgst, igst, tax_amount)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      RETURNING *
+    `, [
+      orderId, JSON.stringify(item.product), item.productName, item.sku, item.category, item.brand,
+      item.quantity, item.unitPrice, item.lineTotal, item.discount || 0,
+      tax.taxableValue, tax.gstRate, tax.cgst, tax.sgst, tax.igst, tax.tax
+    ]);
+    rows.push(result.rows[0]);
+  }
+  return rows;
+}
+
+// Reprices INR catalog items in a currency quoted at rateToInr INR per unit
+const itemsInCurrency = (items, rateToInr) => (rateToInr === 1 ? items : items.map(item => {
+  const unitPrice = fromInr(item.unitPrice, rateToInr);
+  return { ...item, unitPrice, lineTotal: fromPaise(toPaise(unitPrice) * item.quantity) };
+}));
+
+// Inserts a pending order with its line items, coupon redemption, stock
+// reservations and initial history entry. items are priced catalog items
+// (productCatalog.resolveOrderItems). The order is priced in currency (by
+// default the user's preferred one, or INR when that has no exchange rate) at
+// the current exchange rate: its amount is the subtotal less the coupon
+// discount, plus GST and shipping for the buyer's address. userVerified is false when userData came from the cached
+// snapshot rather than user-service. Throws UNSUPPORTED_CURRENCY,
+// COUPON_REJECTED or OUT_OF_STOCK, so db must be inside a transaction that
+// then rolls back.
+async function createOrderWithItems(db, {
+  userId, userData, userVerified = true, items, couponCode = null, currency = null, reason = 'order_created'
+}) {
+  const { currency: orderCurrency, rateToInr } = await orderCurrencyRate(db, currency, userData);
+  const localItems = itemsInCurrency(items, rateToInr);
+
+  const subtotal = calculateOrderTotal(localItems);
+  const applied = couponCode
+    ? await applyCoupon(db, { code: couponCode, userId, items: localItems, rateToInr, currency: orderCurrency })
+    : null;
+  const discountedItems = applied
+    ? localItems.map((item, i) => ({ ...item, discount: applied.lineDiscounts[i] }))
+    : localItems;
+  const pricing = priceOrder(discountedItems, userData, { rateToInr });
+  const pricedItems = discountedItems.map((item, i) => ({ ...item, tax: pricing.itemTaxes[i] }));
+
+  const inserted = await db.query(`
+    INSERT INTO orders
+      (user_id, user_data, product, amount, subtotal, discount_amount, coupon_code, discount_breakdown,
+       tax_amount, shipping_amount, supply_type, tax_breakdown, currency, exchange_rate, amount_inr,
+       user_verified)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING *
+  `, [
+    userId, JSON.stringify(userData), JSON.stringify(orderProductSummary(items)), pricing.total, subtotal,
+    applied ? applied.discount : 0,
+    applied ? applied.coupon.code : null,
+    applied ? JSON.stringify(applied.breakdown) : null,
+    pricing.tax,
+    pricing.shipping,
+    pricing.supplyType,
+    JSON.stringify(pricing.breakdown),
+    orderCurrency,
+    rateToInr,
+    toInr(pricing.total, rateToInr),
+    userVerified
+  ]);
+  const order = inserted.rows[0];
+
+  const orderItems = await insertOrderItems(db, order.id, pricedItems);
+  if (applied) {
+    await recordRedemption(db, { coupon: applied.coupon, orderId: order.id, userId, discount: applied.discount });
+  }
+  await reserveStock(db, order.id, items);
+
+  await db.query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, reason)
+    VALUES ($1, NULL, $2, $3)
+  `, [order.id, order.status, reason]);
+
+  return { ...order, items: orderItems };
+}
+
+async function getOrderItems(db, orderId) {
+  const result = await db.query(
+    'SELECT * FROM order_items WHERE order_id = $1 ORDER BY id ASC',
+    [orderId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  normalizeOrderItems,
+  calculateOrderTotal,
+  orderProductSummary,
+  insertOrderItems,
+  createOrderWithItems,
+  getOrderItems
+};
@@ -0,0 +1,502 @@
+// orderRefunds.js
+const httpClient = require('./httpClient');
+const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const crypto = require('crypto');
+const { transitionOrder, canTransition } = require('./orderStateMachine');
+const { toPaise, fromPaise } = require('./money');
+
+const PAYMENT_SERVICE_URL = 'http://payment-service:3003';
+const REFUND_RETRY_INTERVAL_MS = parseInt(process.env.REFUND_RETRY_INTERVAL_MS) || 30000;
+const REFUND_RETRY_BATCH_SIZE = parseInt(process.env.REFUND_RETRY_BATCH_SIZE) || 20;
+
+const transactionIdOf = (order) => order.payment_details?.transactionId;
+
+// Orders that have been charged and can take a partial refund
+const REFUNDABLE_STATUSES = ['paid', 'shipped', 'delivered', 'partially_refunded'];
+
+const refundError = (code, message, extra = {}) => Object.assign(new Error(message), { code }, extra);
+
+// A cancellation refunds whatever partial refunds have not already returned.
+// Its reference is fixed per order, so payment-service hands back the refund it
+// already made when a request is repeated.
+const cancellationRefundAmount = (order) => fromPaise(toPaise(order.amount) - toPaise(order.refunded_amount));
+const cancellationReference = (order) => `cancel-${order.id}`;
+
+// payment-service answered, but turned the refund down; retrying won't help
+const isRefundRejected = (error) => error.response?.status >= 400 && error.response?.status < 500;
+
+async function requestRefund(order, reason) {
+  const response = await httpClient.post(`${PAYMENT_SERVICE_URL}/refund`, {
+    transactionId: transactionIdOf(order),
+    amount: cancellationRefundAmount(order),
+    currency: order.currency,
+    reason,
+    reference: cancellationReference(order)
+  }, { timeout: 5000 });
+  return response.data;
+}
+
+// Moves a paid order to refund_pending ahead of its cancellation refund. The
+// order row is locked first so no partial refund can start between the check
+// for ones in flight and the transition. Throws REFUND_IN_PROGRESS while a
+// partial refund is pending. Resolves to the updated order.
+async function startCancellationRefund(orderId, reason) {
+  return withTransaction(async (db) => {
+    await db.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+
+    const pendingRefunds = await db.query(
+      "SELECT COUNT(*) FROM order_refunds WHERE order_id = $1 AND status = 'pending'",
+      [orderId]
+    );
+    if (parseInt(pendingRefunds.rows[0].count) > 0) {
+      throw refundError('REFUND_IN_PROGRESS', `Order ${orderId} has a refund in progress`);
+    }
+
+    return transitionOrder(db, orderId, 'refund_pending', {
+      reason,
+      fields: {
+        cancellation_reason: reason,
+        cancelled_at: new Date(),
+        refund_status: 'pending'
+      }
+    });
+  });
+}
+
+// Records why the last refund attempt failed. A rejected refund takes the
+// order out of the retry worker's queue and leaves it refund_pending for
+// manual review; any other failure is retried.
+async function recordRefundFailure(orderId, error) {
+  const rejected = isRefundRejected(error);
+  const result = await pool.query(`
+    UPDATE orders
+    SET refund_details = $2, refund_status = CASE WHEN $3 THEN 'needs_review' ELSE refund_status END,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [orderId, JSON.stringify({
+    lastError: error.response?.data?.error || error.message,
+    code: error.code,
+    statusCode: error.response?.status
+  }), rejected]);
+  return { order: result.rows[0], rejected };
+}
+
+// A previous attempt may have reached payment-service even though we never saw
+// the response, so check what has already been refunded before trying again
+async function alreadyRefunded(order) {
+  const response = await httpClient.get(
+    `${PAYMENT_SERVICE_URL}/transactions/${transactionIdOf(order)}/status`,
+    { timeout: 5000 }
+  );
+  return response.data.totalRefunded >= parseFloat(order.amount);
+}
+
+async function completePendingRefund(order) {
+  try {
+    const refund = await alreadyRefunded(order)
+      ? { status: 'processed', note: 'refund found on retry' }
+      : await requestRefund(order, 'order_cancellation');
+
+    await withTransaction(db => transitionOrder(db, order.id, 'cancelled', {
+      reason: 'refund_completed',
+      metadata: { refundId: refund.refund_id, attempts: order.refund_attempts },
+      fields: {
+        refund_status: 'processed',
+        refund_details: JSON.stringify(refund)
+      }
+    }));
+
+    logger.info('Pending refund completed', {
+      orderId: order.id,
+      transactionId: transactionIdOf(order),
+      attempts: order.refund_attempts
+    });
+  } catch (error) {
+    const { rejected } = await recordRefundFailure(order.id, error)
+      .catch(() => ({ rejected: false }));
+
+    if (rejected) {
+      logger.error('Pending refund rejected by payment service, order needs manual review', {
+        orderId: order.id,
+        transactionId: transactionIdOf(order),
+        statusCode: error.response.status,
+        error: error.response.data?.error
+      });
+      return;
+    }
+    logger.warn('Pending refund retry failed', {
+      orderId: order.id,
+      transactionId: transactionIdOf(order),
+      attempts: order.refund_attempts,
+      error: error.message
+    });
+  }
+}
+
+// Claims a batch of refund_pending orders. SKIP LOCKED plus the attempt
+// timestamp keep several replicas from retrying the same order at once.
+async function claimPendingRefunds() {
+  return withTransaction(async (db) => {
+    const result = await db.query(`
+      SELECT id FROM orders
+      WHERE status = 'refund_pending'
+        AND refund_status = 'pending'
+        AND (last_refund_attempt_at IS NULL
+             OR last_refund_attempt_at < NOW() - ($1 || ' milliseconds')::interval)
+      ORDER BY last_refund_attempt_at ASC NULLS FIRST
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [REFUND_RETRY_INTERVAL_MS, REFUND_RETRY_BATCH_SIZE]);
+
+    if (result.rows.length === 0) return [];
+
+    const claimed = await db.query(`
+      UPDATE orders
+      SET last_refund_attempt_at = NOW(),
+          refund_attempts = refund_attempts + 1
+      WHERE id = ANY($1)
+      RETURNING *
+    `, [result.rows.map(row => row.id)]);
+    return claimed.rows;
+  });
+}
+
+async function retryPendingRefunds() {
+  const orders = await claimPendingRefunds();
+  if (orders.length > 0) {
+    logger.info('Retrying pending refunds', { count: orders.length });
+    for (const order of orders) {
+      await completePendingRefund(order);
+    }
+  }
+
+  const refunds = await claimPendingOrderRefunds();
+  if (refunds.length > 0) {
+    logger.info('Retrying pending partial refunds', { count: refunds.length });
+    for (const refund of refunds) {
+      await submitOrderRefund(refund);
+    }
+  }
+}
+
+function startRefundRetryWorker() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryPendingRefunds();
+    } catch (error) {
+      logger.logError(error, { context: 'Refund retry worker failed' });
+    } finally {
+      running = false;
+    }
+  }, REFUND_RETRY_INTERVAL_MS);
+
+  logger.info('Refund retry worker started', { intervalMs: REFUND_RETRY_INTERVAL_MS });
+  return () => clearInterval(timer);
+}
+
+// Validates a POST /orders/:id/refunds body: { amount, reason, items: [{ itemId, quantity }] }.
+// amount may be left out when items are given; it then defaults to their value.
+function validateRefundRequest({ amount, reason, items } = {}) {
+  if (!reason || typeof reason !== 'string') {
+    return { error: 'reason is required' };
+  }
+  if (amount === undefined && items === undefined) {
+    return { error: 'amount or items is required' };
+  }
+  if (amount !== undefined && (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0)) {
+    return { error: 'amount must be a positive number' };
+  }
+
+  if (items !== undefined) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: 'items must be a non-empty array' };
+    }
+    const seen = new Set();
+    for (let i = 0; i < items.length; i++) {
+      const { itemId, quantity = 1 } = items[i] || {};
+      if (!Number.isInteger(itemId) || itemId <= 0) {
+        return { error: `Item ${i}: itemId must be a positive integer` };
+      }
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        return { error: `Item ${i}: quantity must be a positive integer` };
+      }
+      if (seen.has(itemId)) {
+        return { error: `Item ${i}: duplicate itemId ${itemId}` };
+      }
+      seen.add(itemId);
+    }
+  }
+
+  return {
+    refund: {
+      amount: amount === undefined ? null : parseFloat(amount),
+      reason,
+      items: items === undefined ? null : items.map(({ itemId, quantity = 1 }) => ({ itemId, quantity }))
+    }
+  };
+}
+
+// What was paid for units [from, from + quantity) of an order item: its line
+// total less its share of the coupon discount plus its GST, spread evenly over
+// its units so that refunding every unit returns exactly what the line cost.
+// Shipping is not part of any item and is only returned by amount refunds.
+const paidForUnitsPaise = (item, from, quantity) => {
+  const netPaise = toPaise(item.line_total) - toPaise(item.discount) + toPaise(item.tax_amount);
+  const paidUpTo = (units) => Math.round((netPaise * units) / item.quantity);
+  return paidUpTo(from + quantity) - paidUpTo(from);
+};
+
+// Reserves the refund against the order's unrefunded balance and records it as
+// pending. Pending refunds count against the balance so two concurrent requests
+// can't together refund more than was charged.
+async function createOrderRefund(orderId, { amount, reason, items }) {
+  return withTransaction(async (db) => {
+    const orderResult = await db.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) {
+      throw refundError('ORDER_NOT_FOUND', `Order ${orderId} not found`);
+    }
+
+    const order = orderResult.rows[0];
+    if (!REFUNDABLE_STATUSES.includes(order.status) || !transactionIdOf(order)) {
+      throw refundError('ORDER_NOT_REFUNDABLE', `Order cannot be refunded while ${order.status}`, {
+        status: order.status
+      });
+    }
+
+    let itemsPaise = null;
+    let refundItems = null;
+    if (items) {
+      const itemResult = await db.query(
+        'SELECT * FROM order_items WHERE order_id = $1 AND id = ANY($2) FOR UPDATE',
+        [orderId, items.map(item => item.itemId)]
+      );
+      const byId = new Map(itemResult.rows.map(row => [row.id, row]));
+
+      itemsPaise = 0;
+      refundItems = [];
+      for (const { itemId, quantity } of items) {
+        const item = byId.get(itemId);
+        if (!item) {
+          throw refundError('INVALID_REFUND_ITEMS', `Item ${itemId} does not belong to order ${orderId}`);
+        }
+        const refundable = item.quantity - item.refunded_quantity;
+        if (quantity > refundable) {
+          throw refundError('INVALID_REFUND_ITEMS',
+            `Item ${itemId}: only ${refundable} of ${item.quantity} can still be refunded`);
+        }
+        const valuePaise = paidForUnitsPaise(item, item.refunded_quantity, quantity);
+        itemsPaise += valuePaise;
+        refundItems.push({
+          itemId,
+          productName: item.product_name,
+          quantity,
+          unitPrice: parseFloat(item.unit_price),
+          refundValue: fromPaise(valuePaise)
+        });
+      }
+    }
+
+    const refundPaise = amount === null ? itemsPaise : toPaise(amount);
+    if (itemsPaise !== null && refundPaise > itemsPaise) {
+      throw refundError('INVALID_REFUND_ITEMS', 'Refund amount cannot exceed the value of the refunded items', {
+        itemsValue: fromPaise(itemsPaise)
+      });
+    }
+
+    const pendingResult = await db.query(
+      "SELECT COALESCE(SUM(amount), 0) AS total FROM order_refunds WHERE order_id = $1 AND status = 'pending'",
+      [orderId]
+    );
+    const remainingPaise = toPaise(order.amount) - toPaise(order.refunded_amount) -
+      toPaise(pendingResult.rows[0].total);
+
+    if (refundPaise > remainingPaise) {
+      throw refundError('REFUND_EXCEEDS_BALANCE', 'Refund amount exceeds the remaining refundable balance', {
+        remaining: fromPaise(remainingPaise)
+      });
+    }
+
+    for (const { itemId, quantity } of refundItems || []) {
+      await db.query(
+        'UPDATE order_items SET refunded_quantity = refunded_quantity + $2 WHERE id = $1',
+        [itemId, quantity]
+      );
+    }
+
+    const inserted = await db.query(`
+      INSERT INTO order_refunds
+        (order_id, reference, transaction_id, amount, currency, reason, items, last_attempt_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING *
+    `, [orderId, `refund_${crypto.randomUUID()}`, transactionIdOf(order), fromPaise(refundPaise), order.currency,
+      reason, refundItems ? JSON.stringify(refundItems) : null]);
+
+    return inserted.rows[0];
+  });
+}
+
+// Marks the refund processed, adds it to the order's refunded amount and moves
+// the order to refunded or partially_refunded. Safe to call twice.
+async function settleOrderRefund(refundId, paymentRefund) {
+  return withTransaction(async (db) => {
+    const refundResult = await db.query('SELECT * FROM order_refunds WHERE id = $1 FOR UPDATE', [refundId]);
+    const refund = refundResult.rows[0];
+    if (refund.status !== 'pending') {
+      const current = await db.query('SELECT * FROM orders WHERE id = $1', [refund.order_id]);
+      return { refund, order: current.rows[0] };
+    }
+
+    const processed = await db.query(`
+      UPDATE order_refunds
+      SET status = 'processed', payment_refund_id = $2, details = $3, processed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [refundId, paymentRefund.refund_id, JSON.stringify(paymentRefund)]);
+
+    const orderResult = await db.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [refund.order_id]);
+    const order = orderResult.rows[0];
+    const refundedPaise = toPaise(order.refunded_amount) + toPaise(refund.amount);
+    const toStatus = refundedPaise >= toPaise(order.amount) ? 'refunded' : 'partially_refunded';
+    const refundedAmount = fromPaise(refundedPaise);
+
+    let updatedOrder;
+    if (order.status !== toStatus && canTransition(order.status, toStatus)) {
+      updatedOrder = await transitionOrder(db, order.id, toStatus, {
+        reason: 'refund_processed',
+        metadata: { refundId: refund.id, amount: parseFloat(refund.amount) },
+        fields: { refunded_amount: refundedAmount }
+      });
+    } else {
+      const updated = await db.query(
+        'UPDATE orders SET refunded_amount = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [order.id, refundedAmount]
+      );
+      updatedOrder = updated.rows[0];
+    }
+
+    return { refund: processed.rows[0], order: updatedOrder };
+  });
+}
+
+// payment-service turned the refund down; release the balance and item quantities
+async function failOrderRefund(refundId, error) {
+  return withTransaction(async (db) => {
+    const failed = await db.query(`
+      UPDATE order_refunds
+      SET status = 'failed', details = $2
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [refundId, JSON.stringify({
+      error: error.response?.data?.error || error.message,
+      statusCode: error.response?.status
+    })]);
+
+    const refund = failed.rows[0];
+    for (const { itemId, quantity } of refund?.items || []) {
+      await db.query(
+        'UPDATE order_items SET refunded_quantity = refunded_quantity - $2 WHERE id = $1',
+        [itemId, quantity]
+      );
+    }
+    return refund;
+  });
+}
+
+// Sends a pending refund to payment-service. The reference makes repeats safe:
+// payment-service hands back the refund it already made for it. Resolves with
+// outcome 'processed', 'failed' (rejected by payment-service) or 'pending'
+// (no answer; the retry worker picks it up).
+async function submitOrderRefund(refund) {
+  try {
+    const response = await httpClient.post(`${PAYMENT_SERVICE_URL}/refund`, {
+      transactionId: refund.transaction_id,
+      amount: parseFloat(refund.amount),
+      currency: refund.currency,
+      reason: refund.reason,
+      reference: refund.reference
+    }, { timeout: 5000 });
+
+    const settled = await settleOrderRefund(refund.id, response.data);
+    logger.info('Order refund processed', {
+      orderId: refund.order_id,
+      refundId: refund.id,
+      amount: parseFloat(refund.amount),
+      orderStatus: settled.order.status
+    });
+    return { outcome: 'processed', ...settled };
+  } catch (error) {
+    const status = error.response?.status;
+    if (status >= 400 && status < 500) {
+      const failed = await failOrderRefund(refund.id, error);
+      logger.warn('Order refund rejected by payment service', {
+        orderId: refund.order_id,
+        refundId: refund.id,
+        statusCode: status,
+        error: error.response.data?.error
+      });
+      return { outcome: 'failed', refund: failed || refund, error: error.response.data?.error };
+    }
+
+    await pool.query(
+      'UPDATE order_refunds SET details = $2 WHERE id = $1',
+      [refund.id, JSON.stringify({ lastError: error.message, code: error.code, statusCode: status })]
+    ).catch(() => {});
+
+    logger.warn('Order refund left pending for retry', {
+      orderId: refund.order_id,
+      refundId: refund.id,
+      error: error.message
+    });
+    return { outcome: 'pending', refund };
+  }
+}
+
+async function claimPendingOrderRefunds() {
+  return withTransaction(async (db) => {
+    const result = await db.query(`
+      SELECT id FROM order_refunds
+      WHERE status = 'pending'
+        AND last_attempt_at < NOW() - ($1 || ' milliseconds')::interval
+      ORDER BY last_attempt_at ASC
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `, [REFUND_RETRY_INTERVAL_MS, REFUND_RETRY_BATCH_SIZE]);
+
+    if (result.rows.length === 0) return [];
+
+    const claimed = await db.query(`
+      UPDATE order_refunds
+      SET last_attempt_at = NOW(), attempts = attempts + 1
+      WHERE id = ANY($1)
+      RETURNING *
+    `, [result.rows.map(row => row.id)]);
+    return claimed.rows;
+  });
+}
+
+async function getOrderRefunds(orderId) {
+  const result = await pool.query(
+    'SELECT * FROM order_refunds WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+    [orderId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  transactionIdOf,
+  requestRefund,
+  startCancellationRefund,
+  recordRefundFailure,
+  validateRefundRequest,
+  createOrderRefund,
+  submitOrderRefund,
+  getOrderRefunds,
+  retryPendingRefunds,
+  startRefundRetryWorker
+};
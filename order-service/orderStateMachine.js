@@ -0,0 +1,136 @@
+// orderStateMachine.js
+const logger = require('./logger');
+const { enqueueEvent } = require('./outbox');
+const { syncReservations } = require('./inventory');
+const { releaseRedemption } = require('./coupons');
+
+const ORDER_UPDATED_WEBHOOK = 'http://user-service:3001/webhooks/order-updated';
+
+const ORDER_STATUSES = [
+  'pending',
+  'payment_processing',
+  'paid',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refund_pending',
+  'partially_refunded',
+  'refunded',
+  'failed'
+];
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  pending: ['payment_processing', 'cancelled', 'failed'],
+  payment_processing: ['paid', 'failed', 'pending'],
+  // A paid order is only cancelled through refund_pending, once its refund is done
+  paid: ['shipped', 'refund_pending', 'partially_refunded', 'refunded'],
+  shipped: ['delivered', 'partially_refunded', 'refunded'],
+  delivered: ['partially_refunded', 'refunded'],
+  partially_refunded: ['shipped', 'delivered', 'refunded'],
+  failed: ['pending', 'cancelled'],
+  refund_pending: ['cancelled'],
+  cancelled: [],
+  refunded: []
+};
+
+// Statuses an operator may set through PATCH /orders/:id/status; the others
+// move money and are reached through payment, cancellation or refunds
+const MANUAL_STATUSES = ['shipped', 'delivered'];
+
+// Orders that have not been paid yet; they still follow changes to the user
+const OPEN_ORDER_STATUSES = ['pending', 'payment_processing', 'failed'];
+
+const isValidStatus = (status) => ORDER_STATUSES.includes(status);
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isFinalStatus = (status) => (TRANSITIONS[status] || []).length === 0;
+
+// Moves an order to a new status, records the change in order_status_history
+// and keeps its stock reservations and coupon redemption in step. Must be
+// called with a client that is inside a transaction so the row lock, the
+// update and the history insert commit together.
+async function transitionOrder(db, orderId, toStatus, { reason = null, metadata = null, fields = {} } = {}) {
+  if (!isValidStatus(toStatus)) {
+    const err = new Error(`Unknown order status: ${toStatus}`);
+    err.code = 'INVALID_ORDER_STATUS';
+    throw err;
+  }
+
+  const current = await db.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  if (current.rows.length === 0) {
+    const err = new Error(`Order ${orderId} not found`);
+    err.code = 'ORDER_NOT_FOUND';
+    throw err;
+  }
+
+  const fromStatus = current.rows[0].status;
+  if (!canTransition(fromStatus, toStatus)) {
+    const err = new Error(`Cannot transition order from ${fromStatus} to ${toStatus}`);
+    err.code = 'INVALID_STATUS_TRANSITION';
+    err.from = fromStatus;
+    err.to = toStatus;
+    err.allowed = TRANSITIONS[fromStatus] || [];
+    throw err;
+  }
+
+  // Extra columns to set alongside the status (e.g. payment_details, paid_at)
+  const setClauses = ['status = $2', 'updated_at = NOW()'];
+  const params = [orderId, toStatus];
+  Object.entries(fields).forEach(([column, value]) => {
+    params.push(value);
+    setClauses.push(`${column} = $${params.length}`);
+  });
+
+  const updated = await db.query(
+    `UPDATE orders SET ${setClauses.join(', ')} WHERE id = $1 RETURNING *`,
+    params
+  );
+
+  await db.query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, reason, metadata)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [orderId, fromStatus, toStatus, reason, metadata ? JSON.stringify(metadata) : null]);
+
+  // Paying commits the order's stock reservations; cancelling releases them and
+  // gives back the coupon use
+  await syncReservations(db, orderId, toStatus, reason);
+  if (toStatus === 'cancelled') {
+    await releaseRedemption(db, orderId);
+  }
+
+  // Emitted in the same transaction as the status change
+  await enqueueEvent(db, {
+    eventType: 'order.status_changed',
+    destination: ORDER_UPDATED_WEBHOOK,
+    payload: {
+      orderId,
+      userId: updated.rows[0].user_id,
+      fromStatus,
+      toStatus,
+      reason,
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  logger.info('Order status transitioned', {
+    orderId,
+    fromStatus,
+    toStatus,
+    reason
+  });
+
+  return updated.rows[0];
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  MANUAL_STATUSES,
+  OPEN_ORDER_STATUSES,
+  isValidStatus,
+  canTransition,
+  isFinalStatus,
+  transitionOrder
+};
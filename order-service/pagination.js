@@ -0,0 +1,144 @@
+// pagination.js
+
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+const PAGE_DIRECTIONS = ['next', 'prev'];
+
+// Selected next to each row so cursors keep created_at's full microsecond
+// precision; a JS Date would round it to milliseconds and skip rows
+const PAGE_KEY_COLUMN = 'page_key_created_at';
+const PAGE_KEY_SQL = `created_at::text AS ${PAGE_KEY_COLUMN}`;
+
+const encodeCursor = (row, direction) =>
+  Buffer.from(JSON.stringify({ c: row[PAGE_KEY_COLUMN], i: row.id, d: direction })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { c: createdAt, i: id, d: direction } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || isNaN(Date.parse(createdAt))) return null;
+    if (!Number.isInteger(id) || !PAGE_DIRECTIONS.includes(direction)) return null;
+    return { createdAt, id, direction };
+  } catch (error) {
+    return null;
+  }
+};
+
+const DEFAULT_PAGE_SORT = [{ field: 'created_at', direction: 'DESC' }];
+
+const isKeysetSort = (sort) => sort.length === 1 && sort[0].field === 'created_at';
+
+// Reads limit/offset/cursor/pagination/include_total. Offset mode stays the
+// default for existing clients, with limit passed through as before; a cursor
+// or pagination=cursor switches to keyset paging on (created_at, id), where
+// limit is capped at MAX_PAGE_SIZE and the exact total is opt-in. sort is
+// the [{ field, direction }] list from listQuery.js; keyset paging only
+// supports created_at in either direction.
+function parsePagination(query, { defaultLimit = 20, sort = DEFAULT_PAGE_SORT } = {}) {
+  const { cursor, pagination, include_total: includeTotal } = query;
+
+  const requestedLimit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  if (pagination !== undefined && !['offset', 'cursor'].includes(pagination)) {
+    return { error: 'pagination must be offset or cursor' };
+  }
+
+  if (cursor !== undefined || pagination === 'cursor') {
+    if (query.offset !== undefined) {
+      return { error: 'offset cannot be combined with cursor pagination' };
+    }
+    if (!isKeysetSort(sort)) {
+      return { error: 'Cursor pagination only supports sort=created_at or sort=-created_at' };
+    }
+    const position = cursor === undefined ? null : decodeCursor(cursor);
+    if (cursor !== undefined && !position) {
+      return { error: 'Invalid cursor' };
+    }
+    return {
+      page: {
+        mode: 'cursor',
+        limit: Math.min(requestedLimit, MAX_PAGE_SIZE),
+        sort,
+        position,
+        includeTotal: includeTotal === 'true'
+      }
+    };
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+
+  return { page: { mode: 'offset', limit: requestedLimit, sort, offset, includeTotal: includeTotal !== 'false' } };
+}
+
+// Appends the keyset condition, ORDER BY and LIMIT for the page to a query
+// whose filters already use params. One extra row is fetched to tell whether
+// another page exists.
+function pageClause(page, conditions, params) {
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  const backwards = page.mode === 'cursor' && page.position?.direction === 'prev';
+  // Walking backwards reads the rows before the cursor in reverse order
+  const flip = (direction) => (backwards ? (direction === 'DESC' ? 'ASC' : 'DESC') : direction);
+
+  if (page.mode === 'cursor' && page.position) {
+    const comparator = flip(page.sort[0].direction) === 'DESC' ? '<' : '>';
+    pageConditions.push(
+      `(created_at, id) ${comparator} ($${pageParams.length + 1}::timestamp, $${pageParams.length + 2})`
+    );
+    pageParams.push(page.position.createdAt, page.position.id);
+  }
+
+  // id breaks ties so the order is stable across pages
+  const order = page.sort.map(({ field, direction }) => `${field} ${flip(direction)}`);
+  order.push(`id ${flip(page.sort[page.sort.length - 1].direction)}`);
+
+  let sql = pageConditions.length > 0 ? ' WHERE ' + pageConditions.join(' AND ') : '';
+  sql += ` ORDER BY ${order.join(', ')}`;
+  sql += ` LIMIT $${pageParams.length + 1}`;
+  pageParams.push(page.limit + 1);
+
+  if (page.mode === 'offset') {
+    sql += ` OFFSET $${pageParams.length + 1}`;
+    pageParams.push(page.offset);
+  }
+
+  return { sql, params: pageParams };
+}
+
+// Trims the look-ahead row, restores the requested order and builds cursors.
+// prev_cursor is null on the first page; next_cursor is null on the last.
+// Sorts other than created_at have no cursors and page by offset only.
+function buildPage(page, rows) {
+  const backwards = page.mode === 'cursor' && page.position?.direction === 'prev';
+  const hasMore = rows.length > page.limit;
+  const pageRows = rows.slice(0, page.limit);
+  if (backwards) pageRows.reverse();
+
+  const isFirstPage = page.mode === 'offset'
+    ? page.offset === 0
+    : !page.position || (backwards && !hasMore);
+  const isLastPage = backwards ? false : !hasMore;
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  const cursors = isKeysetSort(page.sort);
+
+  return {
+    rows: pageRows.map(({ [PAGE_KEY_COLUMN]: _key, ...row }) => row),
+    next_cursor: cursors && last && !isLastPage ? encodeCursor(last, 'next') : null,
+    prev_cursor: cursors && first && !isFirstPage ? encodeCursor(first, 'prev') : null
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  PAGE_KEY_SQL,
+  parsePagination,
+  pageClause,
+  buildPage
+};
@@ -0,0 +1,367 @@
+// paymentSaga.js
+const crypto = require('crypto');
+const httpClient = require('./httpClient');
+const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const { transitionOrder } = require('./orderStateMachine');
+
+const PAYMENT_SERVICE_URL = 'http://payment-service:3003';
+const SAGA_STALE_MS = parseInt(process.env.SAGA_STALE_MS) || 30000;
+const SAGA_RECOVERY_INTERVAL_MS = parseInt(process.env.SAGA_RECOVERY_INTERVAL_MS) || 30000;
+const SAGA_RECOVERY_BATCH_SIZE = parseInt(process.env.SAGA_RECOVERY_BATCH_SIZE) || 20;
+const MAX_COMPENSATION_ATTEMPTS = parseInt(process.env.SAGA_MAX_COMPENSATION_ATTEMPTS) || 10;
+
+// Saga statuses:
+//   payment_requested -> payment_completed -> completed
+//   payment_requested -> failed                      (nothing was charged)
+//   payment_completed -> compensating -> compensated (charge voided or refunded)
+//   compensating      -> compensation_failed         (needs manual follow-up)
+const ACTIVE_SAGA_STATUSES = ['payment_requested', 'payment_completed', 'compensating'];
+
+async function recordStep(db, sagaId, status, step, details = {}) {
+  const result = await db.query(`
+    UPDATE sagas
+    SET status = $2,
+        current_step = $3,
+        steps = steps || $4::jsonb,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [sagaId, status, step, JSON.stringify([{ step, status, at: new Date().toISOString(), ...details }])]);
+  return result.rows[0];
+}
+
+async function recordPayment(db, sagaId, payment, details = {}) {
+  await db.query(
+    'UPDATE sagas SET payment_details = $2, transaction_id = $3 WHERE id = $1',
+    [sagaId, JSON.stringify(payment), payment.transactionId]
+  );
+  return recordStep(db, sagaId, 'payment_completed', 'request_payment', {
+    transactionId: payment.transactionId,
+    ...details
+  });
+}
+
+// Step 1: lock the order into payment_processing and persist the saga together
+async function startPaymentSaga(orderId) {
+  return withTransaction(async (db) => {
+    const order = await transitionOrder(db, orderId, 'payment_processing', {
+      reason: 'payment_started'
+    });
+
+    const reference = `saga_${crypto.randomUUID()}`;
+    const result = await db.query(`
+      INSERT INTO sagas (saga_type, order_id, status, current_step, payment_reference, steps)
+      VALUES ('order_payment', $1, 'payment_requested', 'request_payment', $2, $3)
+      RETURNING *
+    `, [orderId, reference, JSON.stringify([{
+      step: 'lock_order',
+      status: 'payment_requested',
+      at: new Date().toISOString()
+    }])]);
+
+    return { saga: result.rows[0], order };
+  });
+}
+
+// Step 2: charge through payment-service; the reference makes a repeat safe
+async function requestPayment(saga, order) {
+  const response = await httpClient.post(`${PAYMENT_SERVICE_URL}/pay`, {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    exchangeRate: order.exchange_rate,
+    userId: order.user_id,
+    reference: saga.payment_reference
+  }, { timeout: 10000 });
+  return response.data;
+}
+
+async function findPaymentByReference(reference) {
+  const response = await httpClient.get(`${PAYMENT_SERVICE_URL}/payments`, {
+    params: { reference },
+    timeout: 5000
+  });
+  const transaction = response.data.transactions[0];
+  if (!transaction) return null;
+
+  return {
+    status: transaction.status,
+    orderId: transaction.order_id,
+    amount: parseFloat(transaction.amount),
+    transactionId: transaction.transaction_id,
+    reference: transaction.reference,
+    processedAt: transaction.created_at
+  };
+}
+
+// Step 3: mark the order paid and close the saga in one transaction
+async function completeOrder(saga, payment) {
+  return withTransaction(async (db) => {
+    const order = await transitionOrder(db, saga.order_id, 'paid', {
+      reason: 'payment_succeeded',
+      metadata: { transactionId: payment.transactionId, sagaId: saga.id },
+      fields: {
+        payment_details: JSON.stringify(payment),
+        paid_at: new Date()
+      }
+    });
+    await recordStep(db, saga.id, 'completed', 'mark_order_paid', {
+      transactionId: payment.transactionId
+    });
+    return order;
+  });
+}
+
+// Ends a saga that never charged the customer and hands the order back
+async function releaseOrder(saga, orderStatus, reason, details = {}) {
+  await withTransaction(async (db) => {
+    try {
+      await transitionOrder(db, saga.order_id, orderStatus, { reason, metadata: { sagaId: saga.id, ...details } });
+    } catch (error) {
+      // The order has already moved on; only the saga needs closing
+      if (error.code !== 'INVALID_STATUS_TRANSITION') throw error;
+    }
+    await recordStep(db, saga.id, 'failed', 'release_order', { reason, ...details });
+  });
+}
+
+// Compensation: void the charge, or refund it if it can no longer be voided
+async function reverseCharge(payment, reason) {
+  const status = await httpClient.get(
+    `${PAYMENT_SERVICE_URL}/transactions/${payment.transactionId}/status`,
+    { timeout: 5000 }
+  );
+  const { transaction, totalRefunded } = status.data;
+  if (transaction.status === 'voided' || totalRefunded >= parseFloat(transaction.amount)) {
+    return { action: 'none', note: 'charge already reversed' };
+  }
+
+  try {
+    const voided = await httpClient.post(`${PAYMENT_SERVICE_URL}/void`, {
+      transactionId: payment.transactionId,
+      reason
+    }, { timeout: 5000 });
+    return { action: 'void', result: voided.data };
+  } catch (error) {
+    if (error.response?.status !== 409) throw error;
+  }
+
+  const refund = await httpClient.post(`${PAYMENT_SERVICE_URL}/refund`, {
+    transactionId: payment.transactionId,
+    amount: parseFloat(transaction.amount) - totalRefunded,
+    reason
+  }, { timeout: 5000 });
+  return { action: 'refund', result: refund.data };
+}
+
+async function compensate(saga, payment, cause) {
+  try {
+    if (saga.status !== 'compensating') {
+      saga = await recordStep(pool, saga.id, 'compensating', 'compensate_payment', {
+        transactionId: payment.transactionId,
+        error: cause.message
+      });
+    }
+
+    const reversal = await reverseCharge(payment, 'saga_compensation');
+
+    await withTransaction(async (db) => {
+      try {
+        await transitionOrder(db, saga.order_id, 'pending', {
+          reason: 'payment_compensated',
+          metadata: { sagaId: saga.id, transactionId: payment.transactionId, action: reversal.action }
+        });
+      } catch (error) {
+        if (error.code !== 'INVALID_STATUS_TRANSITION') throw error;
+      }
+      await recordStep(db, saga.id, 'compensated', 'compensate_payment', {
+        transactionId: payment.transactionId,
+        action: reversal.action
+      });
+    });
+
+    logger.warn('Payment saga compensated', {
+      sagaId: saga.id,
+      orderId: saga.order_id,
+      transactionId: payment.transactionId,
+      action: reversal.action,
+      cause: cause.message
+    });
+  } catch (error) {
+    const attempts = (saga.compensation_attempts || 0) + 1;
+    const exhausted = attempts >= MAX_COMPENSATION_ATTEMPTS;
+
+    await pool.query(`
+      UPDATE sagas
+      SET compensation_attempts = $2,
+          status = CASE WHEN $3 THEN 'compensation_failed' ELSE status END,
+          error = $4,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [saga.id, attempts, exhausted, error.message]).catch(() => {});
+
+    logger.error('Payment saga compensation failed', {
+      sagaId: saga.id,
+      orderId: saga.order_id,
+      transactionId: payment.transactionId,
+      attempts,
+      exhausted,
+      error: error.message
+    });
+  }
+}
+
+// Runs the pay flow for an order. Resolves with { order, payment } or throws the
+// error that stopped it; anything left half-done is picked up by recovery.
+async function executePaymentSaga(orderId) {
+  const { saga, order } = await startPaymentSaga(orderId);
+
+  let payment;
+  try {
+    payment = await requestPayment(saga, order);
+  } catch (error) {
+    if (error.response?.status === 402) {
+      await releaseOrder(saga, 'failed', 'payment_declined', { error: error.response.data.error })
+        .catch(err => logger.logError(err, { sagaId: saga.id, context: 'Failed to release declined order' }));
+    } else if (httpClient.UNAVAILABLE_ERROR_CODES.includes(error.code) ||
+      (error.response && error.response.status < 500)) {
+      // The charge definitely did not happen, so the order can be retried right away
+      await releaseOrder(saga, 'pending', 'payment_error', { error: error.message, code: error.code })
+        .catch(err => logger.logError(err, { sagaId: saga.id, context: 'Failed to release order' }));
+    } else {
+      // Timeouts and 5xx leave the outcome unknown; recovery looks the charge up by reference
+      logger.warn('Payment outcome unknown, leaving saga for recovery', {
+        sagaId: saga.id,
+        orderId,
+        reference: saga.payment_reference,
+        error: error.message
+      });
+    }
+    throw error;
+  }
+
+  try {
+    const paidSaga = await withTransaction(db => recordPayment(db, saga.id, payment));
+    const paidOrder = await completeOrder(paidSaga, payment);
+    return { order: paidOrder, payment };
+  } catch (error) {
+    await compensate({ ...saga, status: 'payment_completed' }, payment, error);
+    throw error;
+  }
+}
+
+// Resumes a saga whose process died or whose last step failed
+async function recoverSaga(saga) {
+  logger.info('Recovering payment saga', {
+    sagaId: saga.id,
+    orderId: saga.order_id,
+    status: saga.status,
+    attempts: saga.attempts
+  });
+
+  if (saga.status === 'compensating') {
+    return compensate(saga, saga.payment_details, new Error(saga.error || 'resumed compensation'));
+  }
+
+  let payment = saga.payment_details;
+  if (saga.status === 'payment_requested') {
+    payment = await findPaymentByReference(saga.payment_reference);
+    if (!payment) {
+      return releaseOrder(saga, 'pending', 'payment_not_received');
+    }
+    // A charge that was voided since (e.g. by an earlier compensation) took no money
+    if (payment.status !== 'paid') {
+      return releaseOrder(saga, 'pending', 'payment_not_received', {
+        transactionId: payment.transactionId,
+        paymentStatus: payment.status
+      });
+    }
+    saga = await withTransaction(db => recordPayment(db, saga.id, payment, { recovered: true }));
+  }
+
+  try {
+    await completeOrder(saga, payment);
+    logger.info('Payment saga completed by recovery', {
+      sagaId: saga.id,
+      orderId: saga.order_id,
+      transactionId: payment.transactionId
+    });
+  } catch (error) {
+    // The order can no longer become paid, so the charge has to be reversed;
+    // other errors (DB down) are retried on the next pass
+    if (error.code === 'INVALID_STATUS_TRANSITION' || error.code === 'ORDER_NOT_FOUND') {
+      return compensate(saga, payment, error);
+    }
+    throw error;
+  }
+}
+
+// Claims stale active sagas. SKIP LOCKED keeps replicas from recovering the same saga.
+async function claimStaleSagas() {
+  return withTransaction(async (db) => {
+    const result = await db.query(`
+      SELECT id FROM sagas
+      WHERE status = ANY($1)
+        AND updated_at < NOW() - ($2 || ' milliseconds')::interval
+      ORDER BY updated_at ASC
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    `, [ACTIVE_SAGA_STATUSES, SAGA_STALE_MS, SAGA_RECOVERY_BATCH_SIZE]);
+
+    if (result.rows.length === 0) return [];
+
+    const claimed = await db.query(`
+      UPDATE sagas SET attempts = attempts + 1, updated_at = NOW()
+      WHERE id = ANY($1)
+      RETURNING *
+    `, [result.rows.map(row => row.id)]);
+    return claimed.rows;
+  });
+}
+
+async function recoverSagas() {
+  const sagas = await claimStaleSagas();
+  for (const saga of sagas) {
+    await recoverSaga(saga).catch(error => logger.logError(error, {
+      sagaId: saga.id,
+      orderId: saga.order_id,
+      context: 'Payment saga recovery failed'
+    }));
+  }
+  return sagas.length;
+}
+
+function startSagaRecoveryWorker() {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const recovered = await recoverSagas();
+      if (recovered > 0) {
+        logger.info('Payment saga recovery pass finished', { sagas: recovered });
+      }
+    } catch (error) {
+      logger.logError(error, { context: 'Saga recovery worker failed' });
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, SAGA_RECOVERY_INTERVAL_MS);
+
+  logger.info('Saga recovery worker started', {
+    intervalMs: SAGA_RECOVERY_INTERVAL_MS,
+    staleAfterMs: SAGA_STALE_MS
+  });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  ACTIVE_SAGA_STATUSES,
+  executePaymentSaga,
+  recoverSagas,
+  startSagaRecoveryWorker
+};
@@ -0,0 +1,143 @@
+// pricing.js
+//
+// GST and shipping for an order. Catalog prices exclude GST; each item is
+// taxed at its product's GST rate on its value after coupon discount. A sale
+// within the seller's state is an intra-state supply and the rate is split
+// evenly between CGST and SGST; any other sale, including one to a buyer
+// whose state is unknown, is inter-state and charged IGST. Shipping is charged
+// by pincode zone relative to the seller and taxed like an item at
+// SHIPPING_GST_RATE. Shipping charges are set in INR and converted for orders
+// priced in another currency.
+const { toPaise, fromPaise, fromInr } = require('./money');
+
+const SELLER_STATE = process.env.SELLER_STATE || 'Karnataka';
+const SELLER_PINCODE = process.env.SELLER_PINCODE || '560001';
+
+const GST_RATES = [0, 5, 12, 18, 28];
+const DEFAULT_GST_RATE = 18;
+const SHIPPING_GST_RATE = 18;
+
+// Zones by how many leading pincode digits match the seller's: the first
+// three identify the sorting district, the first one the postal region
+const SHIPPING_ZONES = [
+  { zone: 'local', prefixLength: 3, charge: parseFloat(process.env.SHIPPING_CHARGE_LOCAL) || 40 },
+  { zone: 'regional', prefixLength: 1, charge: parseFloat(process.env.SHIPPING_CHARGE_REGIONAL) || 70 },
+  { zone: 'national', prefixLength: 0, charge: parseFloat(process.env.SHIPPING_CHARGE_NATIONAL) || 100 }
+];
+const FREE_SHIPPING_THRESHOLD = parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || 999;
+
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+const normalizeState = (state) =>
+  (typeof state === 'string' && state.trim() !== '' ? state.trim().toLowerCase() : null);
+
+// User addresses may be stored as JSON text by older user-service versions
+const addressOf = (userData) => {
+  let address = userData?.address;
+  if (typeof address === 'string') {
+    try {
+      address = JSON.parse(address);
+    } catch (err) {
+      address = null;
+    }
+  }
+  return address && typeof address === 'object' ? address : {};
+};
+
+function supplyTypeFor(buyerState) {
+  return normalizeState(buyerState) === normalizeState(SELLER_STATE) ? 'intra_state' : 'inter_state';
+}
+
+function shippingZoneFor(pincode) {
+  const code = String(pincode ?? '').trim();
+  if (!PINCODE_PATTERN.test(code)) {
+    return SHIPPING_ZONES[SHIPPING_ZONES.length - 1];
+  }
+  return SHIPPING_ZONES.find(({ prefixLength }) =>
+    code.slice(0, prefixLength) === SELLER_PINCODE.slice(0, prefixLength));
+}
+
+// Splits GST on a taxable value (in paise) into its components
+function gstComponents(taxablePaise, rate, supplyType) {
+  if (supplyType === 'intra_state') {
+    const half = Math.round((taxablePaise * rate) / 200);
+    return { cgst: half, sgst: half, igst: 0 };
+  }
+  return { cgst: 0, sgst: 0, igst: Math.round((taxablePaise * rate) / 100) };
+}
+
+const componentsFromPaise = ({ cgst, sgst, igst }) => ({
+  cgst: fromPaise(cgst),
+  sgst: fromPaise(sgst),
+  igst: fromPaise(igst),
+  tax: fromPaise(cgst + sgst + igst)
+});
+
+// Prices tax and shipping for items already carrying their coupon discount,
+// in the currency quoted at rateToInr. Resolves to the per-item tax lines
+// (same order as items), the shipping charge and the breakdown stored on the order.
+function priceOrder(items, userData, { rateToInr = 1 } = {}) {
+  const address = addressOf(userData);
+  const supplyType = supplyTypeFor(address.state);
+
+  const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+  const itemTaxes = items.map(item => {
+    const gstRate = item.gstRate ?? DEFAULT_GST_RATE;
+    const taxablePaise = toPaise(item.lineTotal) - toPaise(item.discount || 0);
+    const components = gstComponents(taxablePaise, gstRate, supplyType);
+    totals.taxable += taxablePaise;
+    totals.cgst += components.cgst;
+    totals.sgst += components.sgst;
+    totals.igst += components.igst;
+    return { sku: item.sku, taxableValue: fromPaise(taxablePaise), gstRate, ...componentsFromPaise(components) };
+  });
+
+  const zone = shippingZoneFor(address.pincode);
+  const freeShipping = totals.taxable >= toPaise(fromInr(FREE_SHIPPING_THRESHOLD, rateToInr));
+  const shippingPaise = freeShipping ? 0 : toPaise(fromInr(zone.charge, rateToInr));
+  const shippingComponents = gstComponents(shippingPaise, SHIPPING_GST_RATE, supplyType);
+
+  const taxPaise = totals.cgst + totals.sgst + totals.igst +
+    shippingComponents.cgst + shippingComponents.sgst + shippingComponents.igst;
+  const totalPaise = totals.taxable + shippingPaise + taxPaise;
+
+  return {
+    supplyType,
+    itemTaxes,
+    shipping: fromPaise(shippingPaise),
+    tax: fromPaise(taxPaise),
+    total: fromPaise(totalPaise),
+    breakdown: {
+      supplyType,
+      sellerState: SELLER_STATE,
+      buyerState: address.state || null,
+      items: itemTaxes,
+      shipping: {
+        zone: zone.zone,
+        pincode: address.pincode || null,
+        charge: fromPaise(shippingPaise),
+        freeShipping,
+        gstRate: SHIPPING_GST_RATE,
+        ...componentsFromPaise(shippingComponents)
+      },
+      totals: {
+        taxableValue: fromPaise(totals.taxable),
+        cgst: fromPaise(totals.cgst + shippingComponents.cgst),
+        sgst: fromPaise(totals.sgst + shippingComponents.sgst),
+        igst: fromPaise(totals.igst + shippingComponents.igst),
+        tax: fromPaise(taxPaise),
+        shipping: fromPaise(shippingPaise),
+        total: fromPaise(totalPaise)
+      }
+    }
+  };
+}
+
+module.exports = {
+  GST_RATES,
+  DEFAULT_GST_RATE,
+  SHIPPING_ZONES,
+  supplyTypeFor,
+  shippingZoneFor,
+  priceOrder
+};
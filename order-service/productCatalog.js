@@ -0,0 +1,184 @@
+// productCatalog.js
+const { pool } = require('./db');
+const { toPaise, fromPaise } = require('./money');
+const { GST_RATES } = require('./pricing');
+
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,63}$/;
+const PRODUCT_TEXT_FIELDS = ['name', 'category', 'brand'];
+
+// Filterable, sortable and selectable columns for GET /products (see listQuery.js)
+const PRODUCT_LIST_SCHEMA = {
+  fields: {
+    id: { type: 'integer', filter: true, sort: true },
+    sku: { type: 'string', filter: true, sort: true },
+    name: { type: 'string', filter: true, sort: true },
+    category: { type: 'string', filter: true, sort: true },
+    brand: { type: 'string', filter: true, sort: true },
+    price: { type: 'number', filter: true, sort: true },
+    gst_rate: { type: 'number', filter: true, sort: true },
+    active: { type: 'boolean', filter: true },
+    attributes: {},
+    created_at: { type: 'timestamp', filter: true, sort: true },
+    updated_at: { type: 'timestamp', filter: true, sort: true }
+  }
+};
+
+// Validates a product body. With partial, only the fields present are checked
+// (PATCH); otherwise sku, name, category and price are required.
+function validateProduct(body = {}, { partial = false } = {}) {
+  const product = {};
+
+  if (!partial) {
+    if (typeof body.sku !== 'string' || !SKU_PATTERN.test(body.sku)) {
+      return { error: 'sku must be 2-64 upper-case letters, digits or dashes' };
+    }
+    product.sku = body.sku;
+  } else if (body.sku !== undefined) {
+    return { error: 'sku cannot be changed' };
+  }
+
+  for (const field of PRODUCT_TEXT_FIELDS) {
+    if (body[field] === undefined) {
+      if (!partial && field !== 'brand') return { error: `${field} is required` };
+      continue;
+    }
+    if (typeof body[field] !== 'string' || body[field].trim() === '' || body[field].length > 255) {
+      return { error: `${field} must be a non-empty string of at most 255 characters` };
+    }
+    product[field] = body[field].trim();
+  }
+
+  if (body.price !== undefined || !partial) {
+    const price = parseFloat(body.price);
+    if (isNaN(price) || price <= 0) {
+      return { error: 'price must be a positive number' };
+    }
+    product.price = fromPaise(toPaise(price));
+  }
+
+  if (body.gstRate !== undefined) {
+    if (!GST_RATES.includes(body.gstRate)) {
+      return { error: `gstRate must be one of ${GST_RATES.join(', ')}` };
+    }
+    product.gst_rate = body.gstRate;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    product.active = body.active;
+  }
+
+  if (body.attributes !== undefined) {
+    if (!body.attributes || typeof body.attributes !== 'object' || Array.isArray(body.attributes)) {
+      return { error: 'attributes must be an object' };
+    }
+    product.attributes = JSON.stringify(body.attributes);
+  }
+
+  if (partial && Object.keys(product).length === 0) {
+    return { error: 'No product fields to update' };
+  }
+  return { product };
+}
+
+async function createProduct(db, product) {
+  const columns = Object.keys(product);
+  const result = await db.query(`
+    INSERT INTO products (${columns.join(', ')})
+    VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING *
+  `, Object.values(product));
+  return result.rows[0];
+}
+
+async function updateProduct(sku, changes) {
+  const columns = Object.keys(changes);
+  const result = await pool.query(`
+    UPDATE products
+    SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW()
+    WHERE sku = $1
+    RETURNING *
+  `, [sku, ...Object.values(changes)]);
+  return result.rows[0] || null;
+}
+
+async function getProduct(sku) {
+  const result = await pool.query('SELECT * FROM products WHERE sku = $1', [sku]);
+  return result.rows[0] || null;
+}
+
+// Legacy bodies name a product instead of giving its SKU: a string, or an
+// object whose name matches a catalog entry
+const lookupOf = (item) => {
+  if (item.sku) return { sku: item.sku };
+  if (typeof item.product === 'string') return { name: item.product };
+  if (item.product?.sku) return { sku: item.product.sku };
+  return { name: item.product?.name };
+};
+
+const describeLookup = (lookup) => (lookup.sku ? `SKU ${lookup.sku}` : `product "${lookup.name}"`);
+
+// Prices requested items from the catalog. requested is [{ sku | product, quantity }]
+// as returned by normalizeOrderItems; resolves to { items } priced at the
+// current catalog price, or { error } naming the unknown or inactive product.
+// Client-supplied prices are never used.
+async function resolveOrderItems(db, requested) {
+  const lookups = requested.map(lookupOf);
+  const skus = lookups.filter(l => l.sku).map(l => l.sku);
+  const names = lookups.filter(l => !l.sku && l.name).map(l => l.name.toLowerCase());
+
+  const result = await db.query(
+    'SELECT * FROM products WHERE sku = ANY($1) OR LOWER(name) = ANY($2)',
+    [skus, names]
+  );
+
+  const items = [];
+  for (let i = 0; i < requested.length; i++) {
+    const lookup = lookups[i];
+    const matches = result.rows.filter(row => (lookup.sku
+      ? row.sku === lookup.sku
+      : lookup.name && row.name.toLowerCase() === lookup.name.toLowerCase()));
+    const active = matches.filter(row => row.active);
+
+    if (matches.length === 0) {
+      return { error: `Item ${i}: unknown ${describeLookup(lookup)}` };
+    }
+    if (active.length === 0) {
+      return { error: `Item ${i}: ${describeLookup(lookup)} is not available` };
+    }
+    if (active.length > 1) {
+      return { error: `Item ${i}: ${describeLookup(lookup)} matches several products, order by SKU` };
+    }
+
+    const product = active[0];
+    const unitPricePaise = toPaise(product.price);
+    items.push({
+      product: {
+        sku: product.sku,
+        name: product.name,
+        category: product.category,
+        brand: product.brand,
+        price: fromPaise(unitPricePaise)
+      },
+      sku: product.sku,
+      productName: product.name,
+      category: product.category,
+      brand: product.brand,
+      gstRate: parseFloat(product.gst_rate),
+      quantity: requested[i].quantity,
+      unitPrice: fromPaise(unitPricePaise),
+      lineTotal: fromPaise(unitPricePaise * requested[i].quantity)
+    });
+  }
+
+  return { items };
+}
+
+module.exports = {
+  PRODUCT_LIST_SCHEMA,
+  validateProduct,
+  createProduct,
+  updateProduct,
+  getProduct,
+  resolveOrderItems
+};
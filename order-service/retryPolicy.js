@@ -0,0 +1,146 @@
+// retryPolicy.js
+//
+// Retries for calls to other services. Each downstream route declares a
+// policy: how many attempts, the backoff between them (exponential with full
+// jitter) and which error codes and response statuses are worth retrying. Only
+// idempotent requests are retried unless the route says otherwise, since
+// repeating a request the downstream may already have acted on is only safe
+// when the repeat is a no-op. Every downstream also has a token-bucket retry
+// budget: each retry spends a token, tokens refill at a steady rate, and once
+// the bucket is empty failures are returned as they are, so a struggling
+// service is not hit with a retry storm.
+const logger = require('./logger');
+const { client } = require('./metrics');
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 100,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 2000,
+  retryableCodes: ['ECONNRESET'],
+  retryableStatuses: [502, 503],
+  // true, false, or a function of the axios request config; by default the
+  // HTTP method decides
+  idempotent: null
+};
+
+const RETRY_BUDGET_TOKENS = parseFloat(process.env.RETRY_BUDGET_TOKENS) || 10;
+const RETRY_BUDGET_REFILL_PER_SEC = parseFloat(process.env.RETRY_BUDGET_REFILL_PER_SEC) || 1;
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+const retryCounter = new client.Counter({
+  name: 'downstream_retries_total',
+  help: 'Retries of calls to other services by route and the error that caused them',
+  labelNames: ['downstream', 'route', 'reason']
+});
+
+const retriesSkippedCounter = new client.Counter({
+  name: 'downstream_retries_skipped_total',
+  help: 'Retryable failures returned without a retry because the retry budget was empty',
+  labelNames: ['downstream', 'route']
+});
+
+const budgets = new Map();
+
+// Read on each scrape through collect(), so nothing keeps a reference
+new client.Gauge({
+  name: 'downstream_retry_budget_tokens',
+  help: 'Retries currently left in each downstream retry budget',
+  labelNames: ['downstream'],
+  collect() {
+    budgets.forEach((budget, downstream) => this.set({ downstream }, budget.available()));
+  }
+});
+
+// Token bucket holding up to capacity retries, refilled continuously
+function createRetryBudget(downstream, {
+  capacity = RETRY_BUDGET_TOKENS,
+  refillPerSec = RETRY_BUDGET_REFILL_PER_SEC
+} = {}) {
+  let tokens = capacity;
+  let refilledAt = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - refilledAt) / 1000) * refillPerSec);
+    refilledAt = now;
+  };
+
+  const budget = {
+    tryAcquire() {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    available() {
+      refill();
+      return tokens;
+    }
+  };
+  budgets.set(downstream, budget);
+  return budget;
+}
+
+// What made a failed attempt retryable under the policy, or null
+function retryReason(error, policy) {
+  if (policy.retryableCodes.includes(error.code)) return error.code;
+  const status = error.response?.status;
+  if (status && policy.retryableStatuses.includes(status)) return String(status);
+  return null;
+}
+
+function isIdempotent(policy, config) {
+  if (typeof policy.idempotent === 'function') return Boolean(policy.idempotent(config));
+  if (typeof policy.idempotent === 'boolean') return policy.idempotent;
+  return IDEMPOTENT_METHODS.includes(String(config.method || 'get').toLowerCase());
+}
+
+// Exponential backoff with full jitter: a random delay up to the capped ceiling
+const backoffDelayMs = (policy, attempt) =>
+  Math.floor(Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1)));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs attempt() under the route's policy. config is the axios request config,
+// used to decide idempotency; labels are { downstream, route }. Resolves or
+// throws like the last attempt.
+async function withRetry(attempt, { policy, budget, config, labels }) {
+  const maxAttempts = isIdempotent(policy, config) ? policy.maxAttempts : 1;
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      const reason = retryReason(error, policy);
+      if (!reason || attemptNumber >= maxAttempts) throw error;
+
+      if (!budget.tryAcquire()) {
+        retriesSkippedCounter.inc(labels);
+        logger.warn('Retry budget exhausted, not retrying downstream request', {
+          ...labels,
+          attempt: attemptNumber,
+          reason
+        });
+        throw error;
+      }
+
+      const delayMs = backoffDelayMs(policy, attemptNumber);
+      retryCounter.inc({ ...labels, reason });
+      logger.warn('Retrying downstream request', {
+        ...labels,
+        attempt: attemptNumber,
+        maxAttempts,
+        reason,
+        delayMs
+      });
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  createRetryBudget,
+  withRetry
+};
@@ -0,0 +1,48 @@
+// userClient.js
+const httpClient = require('./httpClient');
+const logger = require('./logger');
+
+const USER_SERVICE_URL = 'http://user-service:3001';
+const USER_BATCH_SIZE = parseInt(process.env.USER_BATCH_SIZE) || 100;
+
+// Fetches one user for order creation. Errors are axios errors, left for the
+// caller to map (404 unknown user, ECONNREFUSED/ENOTFOUND down, ECONNABORTED
+// timeout), CIRCUIT_OPEN while user-service's breaker is open, or
+// BULKHEAD_REJECTED when too many calls to it are already waiting.
+async function fetchUser(userId) {
+  const response = await httpClient.get(`${USER_SERVICE_URL}/users/${userId}`, {
+    timeout: 5000
+  });
+  return response.data;
+}
+
+// Looks up full profiles through POST /users/batch, one chunk at a time so a
+// large report never floods user-service. Resolves with a Map of id -> profile;
+// ids in failed chunks or unknown to user-service are simply absent.
+async function fetchUserProfiles(userIds) {
+  const ids = [...new Set(userIds.filter(id => id !== null && id !== undefined).map(Number))];
+  const profiles = new Map();
+
+  for (let i = 0; i < ids.length; i += USER_BATCH_SIZE) {
+    const chunk = ids.slice(i, i + USER_BATCH_SIZE);
+    try {
+      const response = await httpClient.post(`${USER_SERVICE_URL}/users/batch`, { ids: chunk }, {
+        timeout: 5000
+      });
+      response.data.users.forEach(user => profiles.set(user.id, user));
+    } catch (err) {
+      logger.warn('Failed to fetch user profile batch', {
+        chunkStart: i,
+        chunkSize: chunk.length,
+        error: err.message
+      });
+    }
+  }
+
+  return profiles;
+}
+
+module.exports = {
+  fetchUser,
+  fetchUserProfiles
+};
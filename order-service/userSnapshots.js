@@ -0,0 +1,126 @@
+// userSnapshots.js
+const { pool } = require('./db');
+const { OPEN_ORDER_STATUSES } = require('./orderStateMachine');
+
+// User fields copied into orders.user_data
+const SNAPSHOT_FIELDS = ['name', 'email', 'phone', 'address'];
+
+const pickSnapshotFields = (changes) =>
+  SNAPSHOT_FIELDS.reduce((acc, field) => {
+    if (changes[field] !== undefined && changes[field] !== null) acc[field] = changes[field];
+    return acc;
+  }, {});
+
+// Returns an error message for an invalid user-updated payload, or null
+function validateUserUpdate({ userId, changes, timestamp }) {
+  if (!userId || !Number.isInteger(Number(userId)) || Number(userId) <= 0) {
+    return 'userId must be a positive integer';
+  }
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'changes must be an object';
+  }
+  if (!timestamp || isNaN(Date.parse(timestamp))) {
+    return 'timestamp must be an ISO-8601 date';
+  }
+  return null;
+}
+
+// Applies one user-updated event inside the caller's transaction. Events are
+// deduplicated on eventId and ordered by timestamp, so redeliveries and
+// out-of-order retries from the outbox leave the snapshot unchanged.
+async function applyUserUpdate(db, { eventId, userId, changes, timestamp }) {
+  const recorded = await db.query(`
+    INSERT INTO user_update_events (event_id, user_id, changes, event_timestamp)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (event_id) DO NOTHING
+    RETURNING event_id
+  `, [eventId, userId, JSON.stringify(changes), timestamp]);
+
+  if (recorded.rows.length === 0) {
+    return { outcome: 'duplicate' };
+  }
+
+  await db.query(
+    'INSERT INTO user_snapshots (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+    [userId]
+  );
+  const current = await db.query(
+    'SELECT * FROM user_snapshots WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  const snapshot = current.rows[0];
+
+  if (snapshot.last_event_at && new Date(snapshot.last_event_at) >= new Date(timestamp)) {
+    await db.query(
+      "UPDATE user_update_events SET outcome = 'stale' WHERE event_id = $1",
+      [eventId]
+    );
+    return { outcome: 'stale', snapshot };
+  }
+
+  const fields = pickSnapshotFields(changes);
+
+  const updatedSnapshot = await db.query(`
+    UPDATE user_snapshots
+    SET data = data || $2::jsonb,
+        version = version + 1,
+        last_event_id = $3,
+        last_event_at = $4,
+        updated_at = NOW()
+    WHERE user_id = $1
+    RETURNING *
+  `, [userId, JSON.stringify(fields), eventId, timestamp]);
+
+  // Paid and later orders keep the snapshot taken when they were placed
+  let ordersUpdated = 0;
+  if (Object.keys(fields).length > 0) {
+    const orders = await db.query(`
+      UPDATE orders
+      SET user_data = user_data || $2::jsonb,
+          updated_at = NOW()
+      WHERE user_id = $1 AND status = ANY($3)
+    `, [userId, JSON.stringify(fields), OPEN_ORDER_STATUSES]);
+    ordersUpdated = orders.rowCount;
+  }
+
+  await db.query(
+    "UPDATE user_update_events SET outcome = 'applied', orders_updated = $2 WHERE event_id = $1",
+    [eventId, ordersUpdated]
+  );
+
+  return { outcome: 'applied', snapshot: updatedSnapshot.rows[0], ordersUpdated };
+}
+
+async function getUserSnapshot(userId) {
+  const result = await pool.query('SELECT * FROM user_snapshots WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+// Stores the full profile from a user-service lookup. Later user-updated events
+// merge their changes into it, so it stays current between lookups.
+async function cacheUser(userId, user) {
+  await pool.query(`
+    INSERT INTO user_snapshots (user_id, data, fetched_at)
+    VALUES ($1, $2, NOW())
+    ON CONFLICT (user_id) DO UPDATE
+    SET data = EXCLUDED.data, fetched_at = NOW(), updated_at = NOW()
+  `, [userId, JSON.stringify(user)]);
+}
+
+// Last known full profile of a user, or null when it was never looked up
+async function getCachedUser(userId) {
+  const result = await pool.query(
+    'SELECT data FROM user_snapshots WHERE user_id = $1 AND fetched_at IS NOT NULL',
+    [userId]
+  );
+  return result.rows[0]?.data || null;
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  validateUserUpdate,
+  applyUserUpdate,
+  getUserSnapshot,
+  cacheUser,
+  getCachedUser
+};
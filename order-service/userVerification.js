@@ -0,0 +1,180 @@
+// userVerification.js
+//
+// Keeps order creation working through a user-service outage. Every
+// successful lookup is cached in user_snapshots; when user-service cannot be
+// reached, a user with a cached profile can still order and the order is
+// flagged user_verified = false. The reconciliation worker later confirms
+// those users with user-service and cancels unpaid orders of users that turn
+// out not to exist.
+const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const { client } = require('./metrics');
+const { UNAVAILABLE_ERROR_CODES } = require('./httpClient');
+const { fetchUser } = require('./userClient');
+const { cacheUser, getCachedUser } = require('./userSnapshots');
+const { OPEN_ORDER_STATUSES, transitionOrder } = require('./orderStateMachine');
+
+const USER_VERIFICATION_INTERVAL_MS = parseInt(process.env.USER_VERIFICATION_INTERVAL_MS) || 60000;
+const USER_VERIFICATION_BATCH_SIZE = parseInt(process.env.USER_VERIFICATION_BATCH_SIZE) || 50;
+
+// Statuses an order of an unknown user is cancelled from; later ones need a
+// refund and are left for manual follow-up
+const CANCELLABLE_UNVERIFIED_STATUSES = ['pending', 'failed'];
+
+// Errors httpClient reports as unavailable, plus lookups that broke off or timed out
+const UNREACHABLE_ERROR_CODES = [
+  ...UNAVAILABLE_ERROR_CODES, 'EAI_AGAIN', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT'
+];
+
+const userVerificationCounter = new client.Counter({
+  name: 'order_user_verification_total',
+  help: 'Orders accepted from the cached user snapshot and their later verification outcomes',
+  labelNames: ['outcome']
+});
+
+// user-service did not answer, as opposed to answering that the user is unknown
+const isUserServiceUnreachable = (error) =>
+  UNREACHABLE_ERROR_CODES.includes(error.code) || error.response?.status >= 500;
+
+// Looks a user up for a new order. Resolves to { user, verified }: verified is
+// false when user-service was unreachable and the cached profile was used.
+// Rethrows the lookup error when the user is unknown to user-service or has
+// no cached profile.
+async function lookupUserForOrder(userId) {
+  try {
+    const user = await fetchUser(userId);
+    await cacheUser(userId, user).catch(error =>
+      logger.warn('Failed to cache user snapshot', { userId, error: error.message }));
+    return { user, verified: true };
+  } catch (error) {
+    if (!isUserServiceUnreachable(error)) throw error;
+
+    const cached = await getCachedUser(userId);
+    if (!cached) throw error;
+
+    userVerificationCounter.inc({ outcome: 'unverified' });
+    logger.warn('User service unreachable, using cached user snapshot', {
+      userId,
+      errorCode: error.code || error.response?.status
+    });
+    return { user: cached, verified: false };
+  }
+}
+
+// Confirms the user of one unverified order. Open orders take the current
+// profile; unpaid orders of a user user-service does not know are cancelled.
+async function verifyOrderUser(order) {
+  let user = null;
+  try {
+    user = await fetchUser(order.user_id);
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+  }
+  if (user) {
+    await cacheUser(order.user_id, user);
+  }
+
+  return withTransaction(async (db) => {
+    const locked = await db.query(
+      'SELECT * FROM orders WHERE id = $1 AND user_verified = false AND user_verified_at IS NULL FOR UPDATE',
+      [order.id]
+    );
+    const current = locked.rows[0];
+    if (!current) return null;
+
+    if (user) {
+      await db.query(`
+        UPDATE orders
+        SET user_verified = true,
+            user_verified_at = NOW(),
+            user_data = CASE WHEN status = ANY($3) THEN user_data || $2::jsonb ELSE user_data END,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [order.id, JSON.stringify(user), OPEN_ORDER_STATUSES]);
+      return 'verified';
+    }
+
+    await db.query('UPDATE orders SET user_verified_at = NOW(), updated_at = NOW() WHERE id = $1', [order.id]);
+    if (CANCELLABLE_UNVERIFIED_STATUSES.includes(current.status)) {
+      await transitionOrder(db, order.id, 'cancelled', {
+        reason: 'user_not_found',
+        fields: {
+          cancellation_reason: 'user_not_found',
+          cancelled_at: new Date(),
+          refund_status: 'not_required'
+        }
+      });
+      return 'user_not_found';
+    }
+    logger.error('Order placed for a user that does not exist needs manual review', {
+      orderId: order.id,
+      userId: order.user_id,
+      status: current.status
+    });
+    return 'user_not_found_needs_review';
+  });
+}
+
+// Verifies up to USER_VERIFICATION_BATCH_SIZE unverified orders, oldest first.
+// Stops early while user-service is still unreachable. Resolves to the number
+// of orders checked.
+async function reconcileUnverifiedOrders() {
+  const pending = await pool.query(`
+    SELECT id, user_id FROM orders
+    WHERE user_verified = false AND user_verified_at IS NULL
+    ORDER BY created_at ASC
+    LIMIT $1
+  `, [USER_VERIFICATION_BATCH_SIZE]);
+
+  let checked = 0;
+  for (const order of pending.rows) {
+    try {
+      const outcome = await verifyOrderUser(order);
+      if (!outcome) continue;
+      checked++;
+      userVerificationCounter.inc({ outcome });
+      logger.info('Order user checked', { orderId: order.id, userId: order.user_id, outcome });
+    } catch (error) {
+      if (isUserServiceUnreachable(error)) {
+        logger.warn('User service still unreachable, deferring order verification', {
+          orderId: order.id,
+          errorCode: error.code || error.response?.status
+        });
+        break;
+      }
+      logger.logError(error, { orderId: order.id, context: 'Order user verification failed' });
+    }
+  }
+  return checked;
+}
+
+function startUserVerificationWorker() {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const checked = await reconcileUnverifiedOrders();
+      if (checked > 0) {
+        logger.info('User verification pass finished', { orders: checked });
+      }
+    } catch (error) {
+      logger.logError(error, { context: 'User verification worker failed' });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, USER_VERIFICATION_INTERVAL_MS);
+
+  logger.info('User verification worker started', {
+    intervalMs: USER_VERIFICATION_INTERVAL_MS
+  });
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  lookupUserForOrder,
+  reconcileUnverifiedOrders,
+  startUserVerificationWorker
+};
@@ -0,0 +1,133 @@
+// bulkhead.js
+//
+// Bounded concurrency pools for calls to other services, one per downstream
+// and route class, so a burst of one kind of call (say, analytics lookups)
+// cannot use up the connections another path (placing orders) needs from the
+// same service. A pool runs up to maxConcurrent calls; further calls wait in a
+// queue of up to maxQueue for at most queueTimeoutMs. A call that finds the
+// queue full or waits too long fails at once with BULKHEAD_REJECTED.
+const logger = require('./logger');
+const { client } = require('./metrics');
+
+const DEFAULT_OPTIONS = {
+  maxConcurrent: parseInt(process.env.BULKHEAD_MAX_CONCURRENT) || 20,
+  maxQueue: parseInt(process.env.BULKHEAD_MAX_QUEUE) || 50,
+  queueTimeoutMs: parseInt(process.env.BULKHEAD_QUEUE_TIMEOUT_MS) || 1000
+};
+
+const activeGauge = new client.Gauge({
+  name: 'bulkhead_active_calls',
+  help: 'Calls running in each bulkhead',
+  labelNames: ['downstream', 'class']
+});
+
+const queuedGauge = new client.Gauge({
+  name: 'bulkhead_queued_calls',
+  help: 'Calls waiting for a slot in each bulkhead',
+  labelNames: ['downstream', 'class']
+});
+
+const capacityGauge = new client.Gauge({
+  name: 'bulkhead_max_concurrent_calls',
+  help: 'Concurrency limit of each bulkhead',
+  labelNames: ['downstream', 'class']
+});
+
+const saturationGauge = new client.Gauge({
+  name: 'bulkhead_saturation_ratio',
+  help: 'Share of each bulkhead\'s concurrency limit in use (1 means full)',
+  labelNames: ['downstream', 'class']
+});
+
+const rejectionCounter = new client.Counter({
+  name: 'bulkhead_rejections_total',
+  help: 'Calls rejected by a bulkhead because its queue was full or the wait timed out',
+  labelNames: ['downstream', 'class', 'reason']
+});
+
+const bulkheads = new Map();
+
+function createBulkhead(downstream, routeClass, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const labels = { downstream, class: routeClass };
+  let active = 0;
+  // Waiting calls in arrival order: { start, timer }
+  const queue = [];
+
+  const publish = () => {
+    activeGauge.set(labels, active);
+    queuedGauge.set(labels, queue.length);
+    saturationGauge.set(labels, active / options.maxConcurrent);
+  };
+
+  const rejection = (reason) => {
+    rejectionCounter.inc({ ...labels, reason });
+    logger.warn('Bulkhead rejected downstream call', { ...labels, reason, active, queued: queue.length });
+    return Object.assign(new Error(`Too many concurrent calls to ${downstream} (${routeClass})`), {
+      code: 'BULKHEAD_REJECTED',
+      downstream,
+      routeClass,
+      reason
+    });
+  };
+
+  // Hands a freed slot to the longest-waiting call
+  const release = () => {
+    active--;
+    const next = queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      active++;
+      next.start();
+    }
+    publish();
+  };
+
+  const acquire = () => {
+    if (active < options.maxConcurrent) {
+      active++;
+      publish();
+      return Promise.resolve();
+    }
+    if (queue.length >= options.maxQueue) {
+      return Promise.reject(rejection('queue_full'));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { start: resolve };
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        publish();
+        reject(rejection('queue_timeout'));
+      }, options.queueTimeoutMs);
+      queue.push(waiter);
+      publish();
+    });
+  };
+
+  // Runs fn (returning a promise) once a slot is free
+  async function run(fn) {
+    await acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  capacityGauge.set(labels, options.maxConcurrent);
+  publish();
+  return { run };
+}
+
+// The bulkhead for a downstream and route class, created with options on first use
+function getBulkhead(downstream, routeClass, options) {
+  const key = `${downstream}:${routeClass}`;
+  if (!bulkheads.has(key)) {
+    bulkheads.set(key, createBulkhead(downstream, routeClass, options));
+  }
+  return bulkheads.get(key);
+}
+
+module.exports = {
+  getBulkhead
+};
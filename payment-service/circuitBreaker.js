@@ -0,0 +1,174 @@
+// circuitBreaker.js
+//
+// One circuit breaker per downstream service. A closed breaker records the
+// outcome and duration of the last windowSize calls; once it has at least
+// minimumCalls and the share of failed calls or of slow calls reaches its
+// threshold, it opens and calls fail fast with CIRCUIT_OPEN instead of piling
+// onto a struggling service. After openMs it turns half-open and lets
+// halfOpenCalls trial calls through: it closes again if they stay under both
+// thresholds and reopens otherwise.
+const logger = require('./logger');
+const { client } = require('./metrics');
+
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+const DEFAULT_OPTIONS = {
+  failureRateThreshold: parseFloat(process.env.CIRCUIT_FAILURE_RATE_THRESHOLD) || 50,
+  slowCallRateThreshold: parseFloat(process.env.CIRCUIT_SLOW_CALL_RATE_THRESHOLD) || 80,
+  slowCallMs: parseInt(process.env.CIRCUIT_SLOW_CALL_MS) || 500,
+  windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE) || 20,
+  minimumCalls: parseInt(process.env.CIRCUIT_MIN_CALLS) || 10,
+  openMs: parseInt(process.env.CIRCUIT_OPEN_MS) || 30000,
+  halfOpenCalls: parseInt(process.env.CIRCUIT_HALF_OPEN_CALLS) || 3
+};
+
+const stateGauge = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state per downstream: 1 for the current state, 0 otherwise',
+  labelNames: ['downstream', 'state']
+});
+
+const callCounter = new client.Counter({
+  name: 'circuit_breaker_calls_total',
+  help: 'Calls through circuit breakers by outcome (success, slow, failure, rejected)',
+  labelNames: ['downstream', 'outcome']
+});
+
+// The downstream did not answer or answered with a server error; 4xx responses
+// mean it is healthy enough to reject the request
+const isDownstreamFailure = (error) => !error.response || error.response.status >= 500;
+
+const breakers = new Map();
+
+function createCircuitBreaker(downstream, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  let state = 'closed';
+  let openedAt = null;
+  // Outcomes recorded in the current state; generation tells apart calls
+  // that started before the last state change, whose outcome no longer counts
+  let calls = [];
+  let generation = 0;
+  let halfOpenInFlight = 0;
+
+  const publishState = () =>
+    CIRCUIT_STATES.forEach(s => stateGauge.set({ downstream, state: s }, s === state ? 1 : 0));
+
+  const rates = () => {
+    const total = calls.length;
+    if (total === 0) return { failureRate: 0, slowCallRate: 0 };
+    return {
+      failureRate: (calls.filter(call => call.failed).length / total) * 100,
+      slowCallRate: (calls.filter(call => call.slow).length / total) * 100
+    };
+  };
+
+  const overThreshold = () => {
+    const { failureRate, slowCallRate } = rates();
+    return failureRate >= options.failureRateThreshold || slowCallRate >= options.slowCallRateThreshold;
+  };
+
+  const setState = (next) => {
+    const { failureRate, slowCallRate } = rates();
+    const log = next === 'open' ? logger.warn : logger.info;
+    log.call(logger, 'Circuit breaker state changed', {
+      downstream,
+      from: state,
+      to: next,
+      calls: calls.length,
+      failureRate: Math.round(failureRate),
+      slowCallRate: Math.round(slowCallRate)
+    });
+
+    state = next;
+    openedAt = next === 'open' ? Date.now() : null;
+    calls = [];
+    generation++;
+    publishState();
+  };
+
+  const record = (callGeneration, failed, durationMs) => {
+    const slow = durationMs >= options.slowCallMs;
+    callCounter.inc({ downstream, outcome: failed ? 'failure' : slow ? 'slow' : 'success' });
+    if (callGeneration !== generation) return;
+
+    calls.push({ failed, slow });
+    if (state === 'half_open') {
+      if (calls.length >= options.halfOpenCalls) {
+        setState(overThreshold() ? 'open' : 'closed');
+      }
+      return;
+    }
+    if (calls.length > options.windowSize) calls.shift();
+    if (calls.length >= options.minimumCalls && overThreshold()) {
+      setState('open');
+    }
+  };
+
+  const reject = () => {
+    callCounter.inc({ downstream, outcome: 'rejected' });
+    const retryAfterMs = state === 'open' ? Math.max(0, openedAt + options.openMs - Date.now()) : 0;
+    throw Object.assign(new Error(`Circuit breaker for ${downstream} is ${state.replace('_', '-')}`), {
+      code: 'CIRCUIT_OPEN',
+      downstream,
+      retryAfterMs
+    });
+  };
+
+  // Runs fn (returning a promise) through the breaker
+  async function execute(fn) {
+    if (state === 'open') {
+      if (Date.now() - openedAt < options.openMs) reject();
+      setState('half_open');
+    }
+    const trial = state === 'half_open';
+    if (trial && halfOpenInFlight + calls.length >= options.halfOpenCalls) reject();
+
+    const callGeneration = generation;
+    const started = Date.now();
+    if (trial) halfOpenInFlight++;
+    try {
+      const result = await fn();
+      record(callGeneration, false, Date.now() - started);
+      return result;
+    } catch (error) {
+      record(callGeneration, isDownstreamFailure(error), Date.now() - started);
+      throw error;
+    } finally {
+      if (trial) halfOpenInFlight--;
+    }
+  }
+
+  function snapshot() {
+    const { failureRate, slowCallRate } = rates();
+    return {
+      state,
+      calls: calls.length,
+      failureRate: Math.round(failureRate),
+      slowCallRate: Math.round(slowCallRate),
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAfterMs: state === 'open' ? Math.max(0, openedAt + options.openMs - Date.now()) : null
+    };
+  }
+
+  publishState();
+  return { downstream, execute, snapshot };
+}
+
+// The breaker for a downstream, created with options on first use
+function getCircuitBreaker(downstream, options) {
+  if (!breakers.has(downstream)) {
+    breakers.set(downstream, createCircuitBreaker(downstream, options));
+  }
+  return breakers.get(downstream);
+}
+
+// State of every breaker, keyed by downstream, for /health
+const circuitBreakerStates = () =>
+  Object.fromEntries([...breakers].map(([downstream, breaker]) => [downstream, breaker.snapshot()]));
+
+module.exports = {
+  CIRCUIT_STATES,
+  isDownstreamFailure,
+  getCircuitBreaker,
+  circuitBreakerStates
+};
@@ -0,0 +1,156 @@
+// idempotency.js
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// An in-progress key older than this belongs to a request that died; let a retry take it over
+const IDEMPOTENCY_LOCK_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 60000;
+const IDEMPOTENCY_CLEANUP_INTERVAL_MS = parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MS) || 3600000;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted keys so the same body always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) =>
+  crypto.createHash('sha256').update(canonicalize(req.body || {})).digest('hex');
+
+// Honors the Idempotency-Key header: the first request with a key runs and its
+// response is stored; repeats get that response back, and a repeat with a
+// different body is rejected with 422. 5xx responses are not stored so the
+// client can retry once the dependency recovers.
+function idempotencyMiddleware(pool) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req);
+
+    try {
+      // Claim the key, taking over rows that expired or whose owner died mid-request
+      const claimed = await pool.query(`
+        INSERT INTO idempotency_keys (idempotency_key, scope, request_hash, expires_at)
+        VALUES ($1, $2, $3, NOW() + ($4 || ' hours')::interval)
+        ON CONFLICT (scope, idempotency_key) DO UPDATE
+        SET request_hash = EXCLUDED.request_hash,
+            status = 'in_progress',
+            response_status = NULL,
+            response_body = NULL,
+            locked_at = NOW(),
+            created_at = NOW(),
+            expires_at = EXCLUDED.expires_at
+        WHERE idempotency_keys.expires_at < NOW()
+           OR (idempotency_keys.status = 'in_progress'
+               AND idempotency_keys.locked_at < NOW() - ($5 || ' milliseconds')::interval)
+        RETURNING idempotency_key
+      `, [key, scope, requestHash, IDEMPOTENCY_TTL_HOURS, IDEMPOTENCY_LOCK_TIMEOUT_MS]);
+
+      if (claimed.rows.length === 0) {
+        const existing = await pool.query(
+          'SELECT * FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+          [scope, key]
+        );
+        const record = existing.rows[0];
+
+        if (!record) {
+          // Released between our insert and select; ask the client to retry
+          return res.status(409).json({ error: 'Idempotency key is being processed, retry the request' });
+        }
+
+        if (record.request_hash !== requestHash) {
+          logger.warn('Idempotency key reused with a different request body', {
+            idempotencyKey: key,
+            scope
+          });
+          return res.status(422).json({
+            error: 'Idempotency-Key has already been used with a different request body'
+          });
+        }
+
+        if (record.status !== 'completed') {
+          logger.warn('Idempotent request still in progress', {
+            idempotencyKey: key,
+            scope
+          });
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        logger.info('Replaying stored idempotent response', {
+          idempotencyKey: key,
+          scope,
+          statusCode: record.response_status
+        });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(record.response_body);
+      }
+    } catch (error) {
+      logger.logError(error, {
+        idempotencyKey: key,
+        scope,
+        context: 'Idempotency key lookup failed'
+      });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    // Capture the body so it can be stored once the response is sent
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function (body) {
+      responseBody = body;
+      return originalJson.call(this, body);
+    };
+
+    res.on('finish', () => {
+      const release = res.statusCode >= 500
+        ? pool.query(
+          'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2',
+          [scope, key]
+        )
+        : pool.query(`
+          UPDATE idempotency_keys
+          SET status = 'completed', response_status = $3, response_body = $4
+          WHERE scope = $1 AND idempotency_key = $2
+        `, [scope, key, res.statusCode, JSON.stringify(responseBody === undefined ? null : responseBody)]);
+
+      release.catch(error => logger.logError(error, {
+        idempotencyKey: key,
+        scope,
+        context: 'Failed to store idempotent response'
+      }));
+    });
+
+    next();
+  };
+}
+
+async function purgeExpiredIdempotencyKeys(pool) {
+  const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+  if (result.rowCount > 0) {
+    logger.info('Purged expired idempotency keys', { count: result.rowCount });
+  }
+  return result.rowCount;
+}
+
+function startIdempotencyKeyCleanup(pool) {
+  const timer = setInterval(() => {
+    purgeExpiredIdempotencyKeys(pool).catch(error =>
+      logger.logError(error, { context: 'Idempotency key cleanup failed' }));
+  }, IDEMPOTENCY_CLEANUP_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  idempotencyMiddleware,
+  purgeExpiredIdempotencyKeys,
+  startIdempotencyKeyCleanup
+};
@@ -1,10 +1,27 @@
 const express = require('express');
-const { Pool } = require('pg');
+const crypto = require('crypto');
 const axios = require('axios');
+const httpClient = require('./httpClient');
 const metricsMiddleware = require('./metricsMiddleware');
 const client = require('./metrics').client;
 const morgan = require('morgan');
 const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const { fetchUserProfiles } = require('./userClient');
+const { PAGE_KEY_SQL, parsePagination, pageClause, buildPage } = require('./pagination');
+const { parseListQuery, selectColumns, orderByClause } = require('./listQuery');
+const { EXPORT_FORMATS, streamExport } = require('./exportStream');
+const {
+  OUTBOX_STATUSES,
+  enqueueEvent,
+  startOutboxDispatcher,
+  getOutboxEvent,
+  requeueOutboxEvent,
+  listOutboxEvents
+} = require('./outbox');
+const { circuitBreakerStates } = require('./circuitBreaker');
+const { idempotencyMiddleware, startIdempotencyKeyCleanup } = require('./idempotency');
+const { migrateUp } = require('./migrator');
 
 const app = express();
 app.use(express.json());
@@ -15,14 +32,10 @@ app.use(morgan('combined', {
 
 const port = process.env.PORT || 3003;
 
-// PostgreSQL connection
-const pool = new Pool({
-  host: process.env.DB_HOST || 'postgres-service',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'ecommerce',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-});
+// Outbound webhooks, delivered through the outbox
+const WEBHOOKS = {
+  paymentUpdated: 'http://order-service:3002/webhooks/payment-updated'
+};
 
 // Initialize database tables
 const initDB = async (retries = 5) => {
@@ -33,31 +46,11 @@ const initDB = async (retries = 5) => {
         host: process.env.DB_HOST || 'postgres-service',
         database: process.env.DB_NAME || 'ecommerce'
       });
-      
-      await pool.query(`
-        CREATE TABLE IF NOT EXISTS transactions (
-          id SERIAL PRIMARY KEY,
-          transaction_id VARCHAR(100) UNIQUE NOT NULL,
-          order_id INTEGER NOT NULL,
-          user_id INTEGER,
-          amount DECIMAL(10,2) NOT NULL,
-          status VARCHAR(20) DEFAULT 'paid',
-          user_data JSONB,
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
-
-      await pool.query(`
-        CREATE TABLE IF NOT EXISTS refunds (
-          id SERIAL PRIMARY KEY,
-          refund_id VARCHAR(100) UNIQUE NOT NULL,
-          original_transaction_id VARCHAR(100) NOT NULL,
-          amount DECIMAL(10,2) NOT NULL,
-          reason VARCHAR(100),
-          status VARCHAR(20) DEFAULT 'processed',
-          created_at TIMESTAMP DEFAULT NOW()
-        )
-      `);
+
+      const applied = await migrateUp();
+      if (applied.length > 0) {
+        logger.info('Applied schema migrations', { versions: applied });
+      }
 
       logger.info('Payment service database initialized successfully');
       return pool;
@@ -72,6 +65,23 @@ const initDB = async (retries = 5) => {
   throw new Error('Could not initialize database');
 };
 
+// Charges default to INR; any other ISO 4217 code is accepted as given
+const DEFAULT_CURRENCY = 'INR';
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Response body of /pay for a transaction that was already stored
+const paymentResponseFor = (transaction) => ({
+  status: transaction.status,
+  orderId: transaction.order_id,
+  amount: parseFloat(transaction.amount),
+  currency: transaction.currency,
+  exchangeRate: parseFloat(transaction.exchange_rate),
+  transactionId: transaction.transaction_id,
+  reference: transaction.reference,
+  processedAt: transaction.created_at,
+  user: transaction.user_data
+});
+
 // Middleware to log every request
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -93,10 +103,13 @@ app.use((req, res, next) => {
   next();
 });
 
+// Replays stored responses for requests carrying an Idempotency-Key header
+const idempotent = idempotencyMiddleware(pool);
+
 // Process payment
-app.post('/pay', async (req, res) => {
+app.post('/pay', idempotent, async (req, res) => {
   try {
-    const { orderId, amount, userId } = req.body;
+    const { orderId, amount, userId, reference, currency = DEFAULT_CURRENCY, exchangeRate } = req.body;
 
     // Validate required fields
     if (!orderId || !amount) {
@@ -125,14 +138,45 @@ app.post('/pay', async (req, res) => {
       });
     }
 
+    if (typeof currency !== 'string' || !CURRENCY_CODE_PATTERN.test(currency)) {
+      return res.status(400).json({ error: 'currency must be an ISO 4217 code such as INR' });
+    }
+
+    // INR per unit of currency, kept with the charge for INR-normalised analytics
+    const rateToInr = currency === DEFAULT_CURRENCY ? 1 : parseFloat(exchangeRate);
+    if (currency === DEFAULT_CURRENCY && exchangeRate !== undefined && parseFloat(exchangeRate) !== 1) {
+      return res.status(400).json({ error: 'exchangeRate must be 1 for INR charges' });
+    }
+    if (!Number.isFinite(rateToInr) || rateToInr <= 0) {
+      return res.status(400).json({ error: `exchangeRate (INR per ${currency}) must be a positive number` });
+    }
+
     logger.info('Processing payment', {
       orderId,
       amount: numericAmount,
       userId,
-      currency: '₹',
+      reference,
+      currency,
       route: '/pay'
     });
 
+    // A repeated reference returns the charge that was already made
+    if (reference) {
+      const existing = await pool.query(
+        'SELECT * FROM transactions WHERE reference = $1',
+        [reference]
+      );
+      if (existing.rows.length > 0) {
+        const transaction = existing.rows[0];
+        logger.info('Payment already processed for reference', {
+          reference,
+          transactionId: transaction.transaction_id,
+          orderId: transaction.order_id
+        });
+        return res.json(paymentResponseFor(transaction));
+      }
+    }
+
     // Simulate random payment failures (5% failure rate)
     const shouldFail = Math.random() < 0.05;
     if (shouldFail) {
@@ -159,7 +203,7 @@ app.post('/pay', async (req, res) => {
           userServiceUrl: `http://user-service:3001/users/${userId}`
         });
 
-        const userResponse = await axios.get(`http://user-service:3001/users/${userId}`, {
+        const userResponse = await httpClient.get(`http://user-service:3001/users/${userId}`, {
           timeout: 3000
         });
         userData = userResponse.data;
@@ -182,10 +226,10 @@ app.post('/pay', async (req, res) => {
     const processingStart = Date.now();
     const transactionId = `txn_${Date.now()}_${orderId}`;
     const result = await pool.query(`
-      INSERT INTO transactions (transaction_id, order_id, user_id, amount, user_data)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO transactions (transaction_id, order_id, user_id, amount, currency, exchange_rate, user_data, reference)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
-    `, [transactionId, orderId, userId, numericAmount, JSON.stringify(userData)]);
+    `, [transactionId, orderId, userId, numericAmount, currency, rateToInr, JSON.stringify(userData), reference || null]);
 
     const transaction = result.rows[0];
     const processingDuration = Date.now() - processingStart;
@@ -193,6 +237,7 @@ app.post('/pay', async (req, res) => {
     logger.info('Payment processed successfully', {
       orderId,
       amount: numericAmount,
+      currency,
       userId,
       userName: userData?.name,
       transactionId,
@@ -204,12 +249,26 @@ app.post('/pay', async (req, res) => {
       status: 'paid',
       orderId,
       amount: numericAmount,
+      currency,
+      exchangeRate: rateToInr,
       transactionId,
+      reference: transaction.reference,
       processedAt: transaction.created_at,
       user: userData
     });
 
   } catch (error) {
+    // A concurrent request with the same reference won the insert; return its charge
+    if (error.code === '23505' && req.body.reference) {
+      const existing = await pool.query(
+        'SELECT * FROM transactions WHERE reference = $1',
+        [req.body.reference]
+      ).catch(() => ({ rows: [] }));
+      if (existing.rows.length > 0) {
+        return res.json(paymentResponseFor(existing.rows[0]));
+      }
+    }
+
     logger.logError(error, {
       route: '/pay',
       orderId: req.body.orderId,
@@ -229,7 +288,7 @@ app.post('/pay', async (req, res) => {
 // Process refund
 app.post('/refund', async (req, res) => {
   try {
-    const { transactionId, amount, reason } = req.body;
+    const { transactionId, amount, reason, reference, currency } = req.body;
 
     if (!transactionId || !amount) {
       logger.warn('Refund request missing required fields', {
@@ -244,57 +303,128 @@ app.post('/refund', async (req, res) => {
     }
 
     const refundAmount = parseFloat(amount);
+    if (isNaN(refundAmount) || refundAmount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+
     logger.info('Processing refund', {
       transactionId,
       amount: refundAmount,
       reason: reason || 'order_cancellation',
+      reference,
       route: '/refund'
     });
 
-    // Find original transaction
-    const transactionResult = await pool.query(
-      'SELECT * FROM transactions WHERE transaction_id = $1',
-      [transactionId]
-    );
+    // A repeated reference returns the refund it already created
+    if (reference) {
+      const existing = await pool.query('SELECT * FROM refunds WHERE reference = $1', [reference]);
+      if (existing.rows.length > 0) {
+        logger.info('Returning existing refund for reference', {
+          reference,
+          refundId: existing.rows[0].refund_id
+        });
+        return res.json(existing.rows[0]);
+      }
+    }
 
-    if (transactionResult.rows.length === 0) {
-      logger.warn('Transaction not found for refund', {
-        transactionId
+    // Create refund in database. The transaction row is locked so concurrent
+    // partial refunds can't together exceed the amount charged.
+    const refundId = `refund_${crypto.randomUUID()}`;
+    const refundResult = await withTransaction(async (db) => {
+      const transactionResult = await db.query(
+        'SELECT * FROM transactions WHERE transaction_id = $1 FOR UPDATE',
+        [transactionId]
+      );
+
+      if (transactionResult.rows.length === 0) {
+        return { status: 404, body: { error: 'Transaction not found' } };
+      }
+
+      const originalTransaction = transactionResult.rows[0];
+
+      if (originalTransaction.status === 'voided') {
+        return { status: 409, body: { error: 'Transaction has been voided' } };
+      }
+      // Refunds are paid out in the currency that was charged
+      if (currency !== undefined && currency !== originalTransaction.currency) {
+        return {
+          status: 400,
+          body: { error: `Refund currency must match the transaction currency ${originalTransaction.currency}` }
+        };
+      }
+
+      const refundedResult = await db.query(
+        'SELECT COALESCE(SUM(amount), 0) AS total FROM refunds WHERE original_transaction_id = $1',
+        [transactionId]
+      );
+      const remaining = parseFloat(originalTransaction.amount) - parseFloat(refundedResult.rows[0].total);
+
+      if (Math.round(refundAmount * 100) > Math.round(remaining * 100)) {
+        return {
+          status: 400,
+          body: {
+            error: 'Refund amount cannot exceed the unrefunded transaction amount',
+            originalAmount: parseFloat(originalTransaction.amount),
+            remaining
+          }
+        };
+      }
+
+      const inserted = await db.query(`
+        INSERT INTO refunds (refund_id, original_transaction_id, amount, currency, reason, reference)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        refundId, transactionId, refundAmount, originalTransaction.currency,
+        reason || 'order_cancellation', reference || null
+      ]);
+
+      await enqueueEvent(db, {
+        eventType: 'payment.refunded',
+        destination: WEBHOOKS.paymentUpdated,
+        payload: {
+          eventType: 'payment.refunded',
+          orderId: originalTransaction.order_id,
+          transactionId,
+          refundId,
+          amount: refundAmount,
+          currency: originalTransaction.currency,
+          remaining: remaining - refundAmount,
+          reason: inserted.rows[0].reason,
+          timestamp: new Date().toISOString()
+        }
       });
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
 
-    const originalTransaction = transactionResult.rows[0];
+      return { status: 200, body: inserted.rows[0] };
+    });
 
-    if (refundAmount > originalTransaction.amount) {
-      logger.warn('Refund amount exceeds original transaction', {
+    if (refundResult.status !== 200) {
+      logger.warn('Refund rejected', {
         transactionId,
-        originalAmount: originalTransaction.amount,
-        refundAmount
-      });
-      return res.status(400).json({
-        error: 'Refund amount cannot exceed original transaction amount'
+        amount: refundAmount,
+        status: refundResult.status,
+        error: refundResult.body.error
       });
+      return res.status(refundResult.status).json(refundResult.body);
     }
 
-    // Create refund in database
-    const refundId = `refund_${Date.now()}_${transactionId}`;
-    const refundResult = await pool.query(`
-      INSERT INTO refunds (refund_id, original_transaction_id, amount, reason)
-      VALUES ($1, $2, $3, $4)
-      RETURNING *
-    `, [refundId, transactionId, refundAmount, reason || 'order_cancellation']);
-
     logger.info('Refund processed successfully', {
       refundId,
       transactionId,
       amount: refundAmount,
-      reason: refundResult.rows[0].reason
+      currency: refundResult.body.currency,
+      reason: refundResult.body.reason
     });
 
-    res.json(refundResult.rows[0]);
+    res.json(refundResult.body);
 
   } catch (error) {
+    // Lost a race with a concurrent request carrying the same reference
+    if (error.code === '23505' && req.body.reference) {
+      const existing = await pool.query('SELECT * FROM refunds WHERE reference = $1', [req.body.reference]);
+      if (existing.rows.length > 0) return res.json(existing.rows[0]);
+    }
+
     logger.logError(error, {
       route: '/refund',
       transactionId: req.body.transactionId,
@@ -306,60 +436,265 @@ app.post('/refund', async (req, res) => {
   }
 });
 
-// Get payment history
-app.get('/payments', async (req, res) => {
+// Void a transaction that has not been refunded
+app.post('/void', async (req, res) => {
   try {
-    const { orderId, userId, status, limit = 20, offset = 0 } = req.query;
-    
-    logger.info('Retrieving payment history', {
-      route: '/payments',
-      filters: { orderId, userId, status, limit, offset }
+    const { transactionId, reason } = req.body;
+
+    if (!transactionId) {
+      logger.warn('Void request missing required fields', {
+        route: '/void',
+        requestBody: req.body
+      });
+      return res.status(400).json({
+        error: 'Missing required field: transactionId is required'
+      });
+    }
+
+    logger.info('Processing void', {
+      transactionId,
+      reason: reason || 'compensation',
+      route: '/void'
     });
 
-    let query = 'SELECT * FROM transactions';
-    let params = [];
-    let conditions = [];
+    // The transaction row is locked so a concurrent refund can't land between
+    // the checks and the void
+    const voidResult = await withTransaction(async (db) => {
+      const transactionResult = await db.query(
+        'SELECT * FROM transactions WHERE transaction_id = $1 FOR UPDATE',
+        [transactionId]
+      );
+
+      if (transactionResult.rows.length === 0) {
+        return { status: 404, body: { error: 'Transaction not found' } };
+      }
+
+      const transaction = transactionResult.rows[0];
+
+      // Voiding twice is a no-op so callers can safely retry
+      if (transaction.status === 'voided') {
+        return { status: 200, body: transaction, alreadyVoided: true };
+      }
+
+      const refundsResult = await db.query(
+        'SELECT COUNT(*) FROM refunds WHERE original_transaction_id = $1',
+        [transactionId]
+      );
+      const refunds = parseInt(refundsResult.rows[0].count);
+
+      if (transaction.status !== 'paid' || refunds > 0) {
+        return {
+          status: 409,
+          body: { error: 'Only paid transactions without refunds can be voided', status: transaction.status },
+          refunds
+        };
+      }
+
+      const updated = await db.query(`
+        UPDATE transactions SET status = 'voided'
+        WHERE transaction_id = $1
+        RETURNING *
+      `, [transactionId]);
+
+      await enqueueEvent(db, {
+        eventType: 'payment.voided',
+        destination: WEBHOOKS.paymentUpdated,
+        payload: {
+          eventType: 'payment.voided',
+          orderId: transaction.order_id,
+          transactionId,
+          amount: parseFloat(transaction.amount),
+          reason: reason || 'compensation',
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      return { status: 200, body: updated.rows[0] };
+    });
 
-    if (orderId) {
-      conditions.push(`order_id = $${params.length + 1}`);
-      params.push(orderId);
+    if (voidResult.status !== 200) {
+      logger.warn('Transaction cannot be voided', {
+        transactionId,
+        status: voidResult.body.status,
+        refunds: voidResult.refunds,
+        error: voidResult.body.error
+      });
+      return res.status(voidResult.status).json(voidResult.body);
+    }
+    if (voidResult.alreadyVoided) {
+      return res.json(voidResult.body);
     }
 
-    if (userId) {
-      conditions.push(`user_id = $${params.length + 1}`);
-      params.push(userId);
+    logger.info('Transaction voided successfully', {
+      transactionId,
+      orderId: voidResult.body.order_id,
+      reason: reason || 'compensation'
+    });
+
+    res.json(voidResult.body);
+
+  } catch (error) {
+    logger.logError(error, {
+      route: '/void',
+      transactionId: req.body.transactionId,
+      errorType: 'void_processing_error'
+    });
+
+    res.status(500).json({ error: 'Void processing failed' });
+  }
+});
+
+// Filterable, sortable and selectable columns for GET /payments (see listQuery.js);
+// the camelCase names are kept as aliases for existing clients
+const TRANSACTION_LIST_SCHEMA = {
+  fields: {
+    id: { type: 'integer', filter: true, sort: true },
+    transaction_id: { type: 'string', filter: true },
+    order_id: { type: 'integer', filter: true, sort: true },
+    user_id: { type: 'integer', filter: true, sort: true },
+    amount: { type: 'number', filter: true, sort: true },
+    currency: { type: 'string', filter: true, sort: true },
+    exchange_rate: { type: 'number', filter: true, sort: true },
+    status: { type: 'string', filter: true, sort: true },
+    reference: { type: 'string', filter: true },
+    user_data: {},
+    created_at: { type: 'timestamp', filter: true, sort: true }
+  },
+  aliases: { orderId: 'order_id', userId: 'user_id' }
+};
+
+// Filterable, sortable and selectable columns for GET /refunds
+const REFUND_LIST_SCHEMA = {
+  fields: {
+    id: { type: 'integer', filter: true, sort: true },
+    refund_id: { type: 'string', filter: true },
+    original_transaction_id: { type: 'string', filter: true },
+    amount: { type: 'number', filter: true, sort: true },
+    currency: { type: 'string', filter: true, sort: true },
+    reason: { type: 'string', filter: true },
+    status: { type: 'string', filter: true, sort: true },
+    reference: { type: 'string', filter: true },
+    created_at: { type: 'timestamp', filter: true, sort: true }
+  },
+  aliases: { transactionId: 'original_transaction_id' }
+};
+
+// Streams every row of table matching the list filters as CSV or NDJSON
+async function exportList(req, res, { route, table, schema, columns, nestedColumns }) {
+  try {
+    const { format = 'csv' } = req.query;
+
+    logger.info('Exporting records', { route, query: req.query });
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
     }
 
-    if (status) {
-      conditions.push(`status = $${params.length + 1}`);
-      params.push(status);
+    const { listQuery, error: queryError } = parseListQuery(req.query, { ...schema, passthrough: ['format'] });
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
     }
 
+    const { conditions, params, sort, fields } = listQuery;
+    let query = `SELECT ${selectColumns(listQuery, schema)} FROM ${table}`;
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
     }
+    query += ` ORDER BY ${orderByClause(sort)}`;
+
+    const exported = await streamExport(res, {
+      sql: query,
+      params,
+      format,
+      columns: fields ? columns.filter(column => fields.includes(column.split('.')[0])) : columns,
+      nestedColumns,
+      filename: `${table}-${new Date().toISOString().slice(0, 10)}`
+    });
+
+    logger.info('Records exported', { route, format, exported });
+  } catch (error) {
+    logger.logError(error, {
+      route,
+      errorType: 'export_error'
+    });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+// Export transactions; takes the same filters as GET /payments
+app.get('/payments/export', (req, res) => exportList(req, res, {
+  route: '/payments/export',
+  table: 'transactions',
+  schema: TRANSACTION_LIST_SCHEMA,
+  columns: [
+    'id', 'transaction_id', 'reference', 'order_id', 'user_id', 'amount', 'currency', 'exchange_rate', 'status',
+    'created_at', 'user_data.name', 'user_data.email', 'user_data.phone',
+    'user_data.address.city', 'user_data.address.state', 'user_data.address.pincode'
+  ],
+  nestedColumns: ['user_data']
+}));
+
+// Export refunds; takes the same filters as GET /refunds
+app.get('/refunds/export', (req, res) => exportList(req, res, {
+  route: '/refunds/export',
+  table: 'refunds',
+  schema: REFUND_LIST_SCHEMA,
+  columns: ['id', 'refund_id', 'original_transaction_id', 'amount', 'currency', 'reason', 'status', 'created_at'],
+  nestedColumns: []
+}));
+
+// Get payment history
+app.get('/payments', async (req, res) => {
+  try {
+    logger.info('Retrieving payment history', {
+      route: '/payments',
+      query: req.query
+    });
 
-    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
+    const { listQuery, error: queryError } = parseListQuery(req.query, TRANSACTION_LIST_SCHEMA);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const { page, error: pageError } = parsePagination(req.query, { sort: listQuery.sort });
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
 
-    const result = await pool.query(query, params);
+    const { conditions, params } = listQuery;
+    const pageQuery = pageClause(page, conditions, params);
+    const result = await pool.query(
+      `SELECT ${selectColumns(listQuery, TRANSACTION_LIST_SCHEMA)}, ${PAGE_KEY_SQL} FROM transactions${pageQuery.sql}`,
+      pageQuery.params
+    );
+    const { rows: transactions, next_cursor, prev_cursor } = buildPage(page, result.rows);
     
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM transactions';
-    if (conditions.length > 0) {
-      countQuery += ' WHERE ' + conditions.join(' AND ');
+    // Exact total, skipped in cursor mode unless asked for
+    let total;
+    if (page.includeTotal) {
+      let countQuery = 'SELECT COUNT(*) FROM transactions';
+      if (conditions.length > 0) {
+        countQuery += ' WHERE ' + conditions.join(' AND ');
+      }
+      const countResult = await pool.query(countQuery, params);
+      total = parseInt(countResult.rows[0].count);
     }
-    const countResult = await pool.query(countQuery, params.slice(0, -2)); // Remove limit and offset
 
     logger.info('Payment history retrieved', {
-      totalTransactions: parseInt(countResult.rows[0].count),
-      filteredTransactions: result.rows.length
+      totalTransactions: total,
+      filteredTransactions: transactions.length,
+      mode: page.mode
     });
 
     res.json({
-      transactions: result.rows,
-      total: parseInt(countResult.rows[0].count),
-      filtered: result.rows.length
+      transactions,
+      total,
+      filtered: transactions.length,
+      next_cursor,
+      prev_cursor
     });
   } catch (error) {
     logger.logError(error, {
@@ -373,47 +708,51 @@ app.get('/payments', async (req, res) => {
 // Get refund history
 app.get('/refunds', async (req, res) => {
   try {
-    const { transactionId, limit = 20, offset = 0 } = req.query;
-
     logger.info('Retrieving refund history', {
       route: '/refunds',
-      filters: { transactionId, limit, offset }
+      query: req.query
     });
 
-    let query = 'SELECT * FROM refunds';
-    let params = [];
-    let conditions = [];
-
-    if (transactionId) {
-      conditions.push(`original_transaction_id = $${params.length + 1}`);
-      params.push(transactionId);
+    const { listQuery, error: queryError } = parseListQuery(req.query, REFUND_LIST_SCHEMA);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
     }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+    const { page, error: pageError } = parsePagination(req.query, { sort: listQuery.sort });
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
     }
 
-    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
+    const { conditions, params } = listQuery;
+    const pageQuery = pageClause(page, conditions, params);
+    const result = await pool.query(
+      `SELECT ${selectColumns(listQuery, REFUND_LIST_SCHEMA)}, ${PAGE_KEY_SQL} FROM refunds${pageQuery.sql}`,
+      pageQuery.params
+    );
+    const { rows: refunds, next_cursor, prev_cursor } = buildPage(page, result.rows);
     
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM refunds';
-    if (conditions.length > 0) {
-      countQuery += ' WHERE ' + conditions.join(' AND ');
+    // Exact total, skipped in cursor mode unless asked for
+    let total;
+    if (page.includeTotal) {
+      let countQuery = 'SELECT COUNT(*) FROM refunds';
+      if (conditions.length > 0) {
+        countQuery += ' WHERE ' + conditions.join(' AND ');
+      }
+      const countResult = await pool.query(countQuery, params);
+      total = parseInt(countResult.rows[0].count);
     }
-    const countResult = await pool.query(countQuery, params.slice(0, -2)); // Remove limit and offset
 
     logger.info('Refund history retrieved', {
-      totalRefunds: parseInt(countResult.rows[0].count),
-      filteredRefunds: result.rows.length
+      totalRefunds: total,
+      filteredRefunds: refunds.length,
+      mode: page.mode
     });
 
     res.json({
-      refunds: result.rows,
-      total: parseInt(countResult.rows[0].count),
-      filtered: result.rows.length
+      refunds,
+      total,
+      filtered: refunds.length,
+      next_cursor,
+      prev_cursor
     });
   } catch (error) {
     logger.logError(error, {
@@ -487,44 +826,75 @@ app.get('/analytics/payments', async (req, res) => {
       route: '/analytics/payments'
     });
 
-    const totalTransactionsResult = await pool.query('SELECT COUNT(*) FROM transactions');
+    const totalTransactionsResult = await pool.query(`
+      SELECT COUNT(*), COUNT(*) FILTER (WHERE status = 'voided') as voided FROM transactions
+    `);
     const totalRefundsResult = await pool.query('SELECT COUNT(*) FROM refunds');
-    const revenueResult = await pool.query('SELECT SUM(amount) as total_revenue FROM transactions');
-    const refundAmountResult = await pool.query('SELECT SUM(amount) as total_refunds FROM refunds');
-    const avgResult = await pool.query('SELECT AVG(amount) as avg_transaction FROM transactions');
-
-    const totalRevenue = parseFloat(revenueResult.rows[0].total_revenue) || 0;
-    const totalRefundAmount = parseFloat(refundAmountResult.rows[0].total_refunds) || 0;
-    const netRevenue = totalRevenue - totalRefundAmount;
+    // Amounts in different currencies can't be summed, so totals are reported
+    // per currency and converted to INR at each charge's stored rate. Voided
+    // charges were never collected and are left out of revenue.
+    const currencyResult = await pool.query(`
+      SELECT t.currency, COUNT(*) as count, SUM(t.amount) as revenue,
+             COALESCE(SUM(r.refunded), 0) as refunded,
+             ROUND(SUM(t.amount * t.exchange_rate), 2) as revenue_inr,
+             ROUND(COALESCE(SUM(r.refunded * t.exchange_rate), 0), 2) as refunded_inr
+      FROM transactions t
+      LEFT JOIN (
+        SELECT original_transaction_id, SUM(amount) as refunded FROM refunds GROUP BY original_transaction_id
+      ) r ON r.original_transaction_id = t.transaction_id
+      WHERE t.status <> 'voided'
+      GROUP BY t.currency
+      ORDER BY t.currency
+    `);
+
+    const revenueByCurrency = Object.fromEntries(currencyResult.rows.map(row => {
+      const transactions = parseInt(row.count);
+      const revenuePaise = Math.round(parseFloat(row.revenue) * 100);
+      const refundedPaise = Math.round(parseFloat(row.refunded) * 100);
+      const revenueInrPaise = Math.round(parseFloat(row.revenue_inr) * 100);
+      const refundedInrPaise = Math.round(parseFloat(row.refunded_inr) * 100);
+      return [row.currency, {
+        transactions,
+        revenue: revenuePaise / 100,
+        refunded: refundedPaise / 100,
+        netRevenue: (revenuePaise - refundedPaise) / 100,
+        averageTransactionValue: Math.round(revenuePaise / transactions) / 100,
+        revenueInr: revenueInrPaise / 100,
+        refundedInr: refundedInrPaise / 100,
+        netRevenueInr: (revenueInrPaise - refundedInrPaise) / 100
+      }];
+    }));
+
+    const collected = Object.values(revenueByCurrency);
+    const sumPaise = (key) => collected.reduce((sum, totals) => sum + Math.round(totals[key] * 100), 0);
+    const collectedTransactions = collected.reduce((sum, totals) => sum + totals.transactions, 0);
+    const totalRevenue = sumPaise('revenueInr') / 100;
+    const totalRefundAmount = sumPaise('refundedInr') / 100;
+    const netRevenue = (sumPaise('revenueInr') - sumPaise('refundedInr')) / 100;
 
     // Get user demographics for payment analytics
     const userIdsResult = await pool.query(
       'SELECT DISTINCT user_id FROM transactions WHERE user_id IS NOT NULL'
     );
     
-    const userPromises = userIdsResult.rows.map(row =>
-      axios.get(`http://user-service:3001/users/${row.user_id}/profile`, {
-        timeout: 3000
-      }).catch(err => {
-        logger.warn('Failed to fetch user profile for payment analytics', {
-          userId: row.user_id,
-          error: err.message
-        });
-        return { data: { demographics: 'unknown' } };
-      })
-    );
-
-    const userProfiles = await Promise.all(userPromises);
+    const userProfiles = await fetchUserProfiles(userIdsResult.rows.map(row => row.user_id));
 
     const analytics = {
       totalTransactions: parseInt(totalTransactionsResult.rows[0].count),
+      voidedTransactions: parseInt(totalTransactionsResult.rows[0].voided),
       totalRefunds: parseInt(totalRefundsResult.rows[0].count),
+      // Totals across currencies are in INR
+      baseCurrency: DEFAULT_CURRENCY,
       totalRevenue,
       totalRefundAmount,
       netRevenue,
-      averageTransactionValue: parseFloat(avgResult.rows[0].avg_transaction) || 0,
+      averageTransactionValue: collectedTransactions > 0
+        ? Math.round(sumPaise('revenueInr') / collectedTransactions) / 100
+        : 0,
       successRate: 0.95, // Based on 5% failure rate
-      userDemographics: userProfiles.map(p => p.data.demographics || 'unknown'),
+      revenueByCurrency,
+      userDemographics: userIdsResult.rows.map(row =>
+        userProfiles.get(row.user_id)?.demographics || 'unknown'),
       generatedAt: new Date().toISOString()
     };
 
@@ -544,6 +914,87 @@ app.get('/analytics/payments', async (req, res) => {
   }
 });
 
+// Outbox delivery status
+app.get('/outbox/events', async (req, res) => {
+  try {
+    const { status, eventType, limit = 50 } = req.query;
+
+    logger.info('Retrieving outbox events', {
+      route: '/outbox/events',
+      filters: { status, eventType, limit }
+    });
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: must be one of ${OUTBOX_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await listOutboxEvents({ status, eventType, limit: parseInt(limit) || 50 });
+    res.json(result);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events',
+      errorType: 'outbox_events_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/outbox/events/:id', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+
+    const event = await getOutboxEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Outbox event not found' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events/:id',
+      eventId: req.params.id,
+      errorType: 'outbox_event_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/outbox/events/:id/retry', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+
+    if (!(await getOutboxEvent(eventId))) {
+      return res.status(404).json({ error: 'Outbox event not found' });
+    }
+
+    const event = await requeueOutboxEvent(eventId);
+    if (!event) {
+      return res.status(409).json({ error: 'Only failed outbox events can be retried' });
+    }
+
+    logger.info('Outbox event requeued', {
+      eventId,
+      eventType: event.event_type
+    });
+    res.json(event);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events/:id/retry',
+      eventId: req.params.id,
+      errorType: 'outbox_event_retry_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Metrics endpoint
 app.get('/metrics', async (req, res) => {
   logger.debug('Metrics endpoint accessed');
@@ -630,6 +1081,7 @@ app.get('/health', async (req, res) => {
       status_results: safeResults,
       services: statusReport,
       deps: statusReport,
+      circuitBreakers: circuitBreakerStates(),
       transactionsCount: parseInt(transactionCountResult.rows[0].count),
       refundsCount: parseInt(refundCountResult.rows[0].count)
     });
@@ -679,6 +1131,10 @@ app.use((req, res) => {
   });
 });
 
+// Background workers, started once the database is ready
+let stopIdempotencyKeyCleanup = () => {};
+let stopOutboxDispatcher = () => {};
+
 // Start server
 const server = app.listen(port, '0.0.0.0', () => {
   logger.info('Payment service started successfully', {
@@ -687,10 +1143,15 @@ const server = app.listen(port, '0.0.0.0', () => {
     processId: process.pid,
     service: 'payment-service'
   });
-  initDB().catch(err => {
-    logger.logError(err, { context: 'Database initialization failed' });
-    process.exit(1);
-  });
+  initDB()
+    .then(() => {
+      stopIdempotencyKeyCleanup = startIdempotencyKeyCleanup(pool);
+      stopOutboxDispatcher = startOutboxDispatcher();
+    })
+    .catch(err => {
+      logger.logError(err, { context: 'Database initialization failed' });
+      process.exit(1);
+    });
 });
 
 // Graceful shutdown handling
@@ -699,6 +1160,9 @@ const gracefulShutdown = (signal) => {
     service: 'payment-service'
   });
 
+  stopIdempotencyKeyCleanup();
+  stopOutboxDispatcher();
+
   server.close((err) => {
     if (err) {
       logger.logError(err, { context: 'Graceful shutdown failed' });
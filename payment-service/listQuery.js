@@ -0,0 +1,163 @@
+// listQuery.js
+//
+// Query grammar shared by the list routes:
+//   status=paid                     equality
+//   amount[gte]=100&amount[lt]=500  ranges (eq, ne, gt, gte, lt, lte)
+//   status[in]=paid,shipped         comma-separated lists
+//   sort=-created_at,amount         multi-field sort, '-' for descending
+//   fields=id,status,amount         sparse responses (id is always returned)
+// Each route describes its columns in a schema:
+//   { fields: { amount: { type: 'number', filter: true, sort: true } },
+//     aliases: { userId: 'user_id' }, passthrough: ['search'], defaultFields: ['id'] }
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+const LIST_OPERATOR = 'in';
+
+// Never treated as filters; sort and fields are parsed below, the rest by pagination.js
+const RESERVED_PARAMS = ['limit', 'offset', 'cursor', 'pagination', 'include_total', 'sort', 'fields'];
+
+const DEFAULT_SORT = [{ field: 'created_at', direction: 'DESC' }];
+
+const PARAM_PATTERN = /^([a-zA-Z_]+)(?:\[([a-z]+)\])?$/;
+
+const VALUE_PARSERS = {
+  integer: (value) => (/^-?\d+$/.test(value) ? parseInt(value) : undefined),
+  number: (value) => (value.trim() !== '' && isFinite(Number(value)) ? Number(value) : undefined),
+  timestamp: (value) => (isNaN(Date.parse(value)) ? undefined : value),
+  boolean: (value) => (value === 'true' || value === 'false' ? value === 'true' : undefined),
+  string: (value) => value
+};
+
+const RANGE_TYPES = ['integer', 'number', 'timestamp'];
+
+const parseValue = (name, spec, raw) => {
+  const value = VALUE_PARSERS[spec.type || 'string'](raw);
+  if (value === undefined) {
+    return { error: `Invalid value for ${name}: expected ${spec.type}` };
+  }
+  return { value };
+};
+
+function parseFilter(schema, key, raw, conditions, params) {
+  const match = PARAM_PATTERN.exec(key);
+  if (!match) {
+    return `Unknown query parameter: ${key}`;
+  }
+
+  const name = schema.aliases?.[match[1]] || match[1];
+  const operator = match[2] || 'eq';
+  const spec = schema.fields[name];
+
+  if (!spec || !spec.filter) {
+    return `Unknown filter field: ${match[1]}`;
+  }
+  if (!FILTER_OPERATORS[operator] && operator !== LIST_OPERATOR) {
+    return `Unknown filter operator for ${match[1]}: ${operator}`;
+  }
+  if (typeof raw !== 'string') {
+    return `${key} may only be given once`;
+  }
+  if (!['eq', 'ne', LIST_OPERATOR].includes(operator) && !RANGE_TYPES.includes(spec.type)) {
+    return `${match[1]} does not support range filters`;
+  }
+
+  if (operator === LIST_OPERATOR) {
+    const values = [];
+    for (const item of raw.split(',')) {
+      const { value, error } = parseValue(name, spec, item.trim());
+      if (error) return error;
+      values.push(value);
+    }
+    conditions.push(`${name} = ANY($${params.length + 1})`);
+    params.push(values);
+    return null;
+  }
+
+  const { value, error } = parseValue(name, spec, raw);
+  if (error) return error;
+  conditions.push(`${name} ${FILTER_OPERATORS[operator]} $${params.length + 1}`);
+  params.push(value);
+  return null;
+}
+
+function parseSort(schema, raw) {
+  if (raw === undefined) return { sort: DEFAULT_SORT };
+  if (typeof raw !== 'string' || raw.trim() === '') {
+    return { error: 'sort must be a comma-separated list of fields' };
+  }
+
+  const sort = [];
+  for (const term of raw.split(',')) {
+    const descending = term.startsWith('-');
+    const field = descending ? term.slice(1) : term;
+    if (!schema.fields[field]?.sort) {
+      return { error: `Unknown sort field: ${field}` };
+    }
+    if (sort.some(existing => existing.field === field)) {
+      return { error: `Duplicate sort field: ${field}` };
+    }
+    sort.push({ field, direction: descending ? 'DESC' : 'ASC' });
+  }
+  return { sort };
+}
+
+function parseFields(schema, raw) {
+  if (raw === undefined) return { fields: null };
+  if (typeof raw !== 'string' || raw.trim() === '') {
+    return { error: 'fields must be a comma-separated list of fields' };
+  }
+
+  const fields = ['id'];
+  for (const field of raw.split(',').map(name => name.trim())) {
+    if (!schema.fields[field]) {
+      return { error: `Unknown field: ${field}` };
+    }
+    if (!fields.includes(field)) fields.push(field);
+  }
+  return { fields };
+}
+
+// Turns req.query into WHERE conditions (numbered from $1), a sort and an
+// optional column list. Resolves to { listQuery } or { error } for a 400.
+function parseListQuery(query, schema) {
+  const conditions = [];
+  const params = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key) || schema.passthrough?.includes(key)) continue;
+    const error = parseFilter(schema, key, raw, conditions, params);
+    if (error) return { error };
+  }
+
+  const { sort, error: sortError } = parseSort(schema, query.sort);
+  if (sortError) return { error: sortError };
+
+  const { fields, error: fieldsError } = parseFields(schema, query.fields);
+  if (fieldsError) return { error: fieldsError };
+
+  return { listQuery: { conditions, params, sort, fields } };
+}
+
+// SELECT list for the requested fields, else the schema's defaultFields or every column
+const selectColumns = (listQuery, schema) => {
+  const fields = listQuery.fields || schema.defaultFields;
+  return fields ? fields.join(', ') : '*';
+};
+
+// ORDER BY list for a parsed sort, with id breaking ties
+const orderByClause = (sort) =>
+  [...sort.map(({ field, direction }) => `${field} ${direction}`), `id ${sort[sort.length - 1].direction}`].join(', ');
+
+module.exports = {
+  FILTER_OPERATORS,
+  parseListQuery,
+  selectColumns,
+  orderByClause
+};
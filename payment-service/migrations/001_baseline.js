@@ -0,0 +1,84 @@
+// 001_baseline.js
+//
+// Schema as it stood before versioned migrations. Every statement is
+// idempotent so databases set up by the old initDB are adopted as-is.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS transactions (
+      id SERIAL PRIMARY KEY,
+      transaction_id VARCHAR(100) UNIQUE NOT NULL,
+      order_id INTEGER NOT NULL,
+      user_id INTEGER,
+      amount DECIMAL(10,2) NOT NULL,
+      status VARCHAR(20) DEFAULT 'paid',
+      user_data JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      id SERIAL PRIMARY KEY,
+      refund_id VARCHAR(100) UNIQUE NOT NULL,
+      original_transaction_id VARCHAR(100) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      reason VARCHAR(100),
+      status VARCHAR(20) DEFAULT 'processed',
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Caller-supplied references let order-service look up a charge or refund
+  // whose response it never received, and make /pay and /refund safe to repeat
+  await db.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS reference VARCHAR(100)');
+  await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_reference ON transactions(reference)');
+  await db.query('ALTER TABLE refunds ADD COLUMN IF NOT EXISTS reference VARCHAR(100)');
+  await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_reference ON refunds(reference)');
+
+  // Keyset pagination on GET /payments and GET /refunds walks these indexes
+  await db.query(
+    'CREATE INDEX IF NOT EXISTS idx_transactions_created_at_id ON transactions(created_at DESC, id DESC)'
+  );
+  await db.query('CREATE INDEX IF NOT EXISTS idx_refunds_created_at_id ON refunds(created_at DESC, id DESC)');
+
+  // Shared with the other services
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      idempotency_key VARCHAR(255) NOT NULL,
+      scope VARCHAR(255) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+      response_status INTEGER,
+      response_body JSONB,
+      locked_at TIMESTAMP DEFAULT NOW(),
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      PRIMARY KEY (scope, idempotency_key)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS outbox_events (
+      id SERIAL PRIMARY KEY,
+      event_type VARCHAR(100) NOT NULL,
+      destination VARCHAR(255) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      last_status_code INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_outbox_events_due ON outbox_events(status, next_attempt_at)');
+}
+
+// idempotency_keys and outbox_events are shared with the other services and stay
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS refunds');
+  await db.query('DROP TABLE IF EXISTS transactions');
+}
+
+module.exports = { up, down };
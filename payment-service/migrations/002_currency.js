@@ -0,0 +1,17 @@
+// 002_currency.js
+//
+// ISO 4217 currency code of every charge and refund. Everything recorded
+// before this was charged in INR. A refund is always in the currency of the
+// transaction it refunds.
+
+async function up(db) {
+  await db.query("ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'INR'");
+  await db.query("ALTER TABLE refunds ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'INR'");
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE refunds DROP COLUMN IF EXISTS currency');
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS currency');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// 003_exchange_rate.js
+//
+// INR per unit of the transaction currency at the time of the charge, sent by
+// order-service from the order, so analytics can report INR totals. Everything
+// recorded before this was charged in INR. Refunds are converted at the rate
+// of the transaction they refund.
+
+async function up(db) {
+  await db.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) NOT NULL DEFAULT 1');
+}
+
+async function down(db) {
+  await db.query('ALTER TABLE transactions DROP COLUMN IF EXISTS exchange_rate');
+}
+
+module.exports = { up, down };
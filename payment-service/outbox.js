@@ -0,0 +1,190 @@
+// outbox.js
+const httpClient = require('./httpClient');
+const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 2000;
+const OUTBOX_BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE) || 20;
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+const OUTBOX_RETRY_BASE_MS = parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 1000;
+const OUTBOX_RETRY_MAX_MS = parseInt(process.env.OUTBOX_RETRY_MAX_MS) || 300000;
+const OUTBOX_DELIVERY_TIMEOUT_MS = parseInt(process.env.OUTBOX_DELIVERY_TIMEOUT_MS) || 3000;
+// A claimed event is hidden from other dispatchers for this long
+const OUTBOX_LEASE_MS = 30000;
+
+const OUTBOX_STATUSES = ['pending', 'delivered', 'failed'];
+
+// All services share outbox_events; each only dispatches, lists and requeues
+// the events it wrote itself
+const SERVICE_NAME = require('./package.json').name;
+
+// Writes an event with the caller's client so it commits or rolls back together
+// with the business change that produced it
+async function enqueueEvent(db, { eventType, destination, payload }) {
+  const result = await db.query(`
+    INSERT INTO outbox_events (service, event_type, destination, payload)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [SERVICE_NAME, eventType, destination, JSON.stringify(payload)]);
+  return result.rows[0];
+}
+
+// Exponential backoff with full jitter, capped at OUTBOX_RETRY_MAX_MS
+const retryDelayMs = (attempts) => {
+  const ceiling = Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * 2 ** attempts);
+  return Math.floor(Math.random() * ceiling);
+};
+
+async function claimDueEvents() {
+  return withTransaction(async (db) => {
+    const result = await db.query(`
+      SELECT id FROM outbox_events
+      WHERE service = $2 AND status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC, id ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [OUTBOX_BATCH_SIZE, SERVICE_NAME]);
+
+    if (result.rows.length === 0) return [];
+
+    const claimed = await db.query(`
+      UPDATE outbox_events
+      SET next_attempt_at = NOW() + ($2 || ' milliseconds')::interval
+      WHERE id = ANY($1)
+      RETURNING *
+    `, [result.rows.map(row => row.id), OUTBOX_LEASE_MS]);
+    return claimed.rows;
+  });
+}
+
+async function deliverEvent(event) {
+  try {
+    const response = await httpClient.post(event.destination, event.payload, {
+      timeout: OUTBOX_DELIVERY_TIMEOUT_MS,
+      headers: {
+        'X-Event-Id': String(event.id),
+        'X-Event-Type': event.event_type
+      }
+    });
+
+    await pool.query(`
+      UPDATE outbox_events
+      SET status = 'delivered', attempts = attempts + 1, delivered_at = NOW(),
+          last_status_code = $2, last_error = NULL
+      WHERE id = $1
+    `, [event.id, response.status]);
+
+    logger.info('Outbox event delivered', {
+      eventId: event.id,
+      eventType: event.event_type,
+      destination: event.destination,
+      attempts: event.attempts + 1
+    });
+  } catch (error) {
+    const attempts = event.attempts + 1;
+    const exhausted = attempts >= OUTBOX_MAX_ATTEMPTS;
+    const delayMs = retryDelayMs(attempts);
+
+    await pool.query(`
+      UPDATE outbox_events
+      SET status = $2, attempts = $3, last_error = $4, last_status_code = $5,
+          next_attempt_at = NOW() + ($6 || ' milliseconds')::interval
+      WHERE id = $1
+    `, [event.id, exhausted ? 'failed' : 'pending', attempts, error.message,
+      error.response?.status || null, delayMs]);
+
+    logger[exhausted ? 'error' : 'warn'](exhausted
+      ? 'Outbox event delivery failed permanently'
+      : 'Outbox event delivery failed, will retry', {
+      eventId: event.id,
+      eventType: event.event_type,
+      destination: event.destination,
+      attempts,
+      nextAttemptInMs: exhausted ? null : delayMs,
+      error: error.message
+    });
+  }
+}
+
+async function dispatchOutbox() {
+  const events = await claimDueEvents();
+  for (const event of events) {
+    await deliverEvent(event);
+  }
+  return events.length;
+}
+
+function startOutboxDispatcher() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await dispatchOutbox();
+    } catch (error) {
+      logger.logError(error, { context: 'Outbox dispatcher failed' });
+    } finally {
+      running = false;
+    }
+  }, OUTBOX_POLL_INTERVAL_MS);
+
+  logger.info('Outbox dispatcher started', { intervalMs: OUTBOX_POLL_INTERVAL_MS });
+  return () => clearInterval(timer);
+}
+
+async function getOutboxEvent(id) {
+  const result = await pool.query('SELECT * FROM outbox_events WHERE id = $1 AND service = $2', [id, SERVICE_NAME]);
+  return result.rows[0] || null;
+}
+
+// Puts a permanently failed event back in the queue
+async function requeueOutboxEvent(id) {
+  const result = await pool.query(`
+    UPDATE outbox_events
+    SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+    WHERE id = $1 AND service = $2 AND status = 'failed'
+    RETURNING *
+  `, [id, SERVICE_NAME]);
+  return result.rows[0] || null;
+}
+
+async function listOutboxEvents({ status, eventType, limit = 50 } = {}) {
+  const params = [SERVICE_NAME];
+  const conditions = ['service = $1'];
+
+  if (status) {
+    conditions.push(`status = $${params.length + 1}`);
+    params.push(status);
+  }
+  if (eventType) {
+    conditions.push(`event_type = $${params.length + 1}`);
+    params.push(eventType);
+  }
+
+  let query = 'SELECT * FROM outbox_events WHERE ' + conditions.join(' AND ');
+  query += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1}`;
+  params.push(limit);
+
+  const [events, counts] = await Promise.all([
+    pool.query(query, params),
+    pool.query('SELECT status, COUNT(*) as count FROM outbox_events WHERE service = $1 GROUP BY status', [SERVICE_NAME])
+  ]);
+
+  return {
+    events: events.rows,
+    countsByStatus: counts.rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, {})
+  };
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  enqueueEvent,
+  dispatchOutbox,
+  startOutboxDispatcher,
+  getOutboxEvent,
+  requeueOutboxEvent,
+  listOutboxEvents
+};
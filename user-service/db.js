@@ -0,0 +1,32 @@
+// db.js
+const { Pool } = require('pg');
+
+// PostgreSQL connection
+const pool = new Pool({
+  host: process.env.DB_HOST || 'postgres-service',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.DB_NAME || 'ecommerce',
+  user: 'postgres',
+  password: process.env.DB_PASSWORD || 'password',
+});
+
+// Run queries on a single client inside BEGIN/COMMIT, rolling back on error
+async function withTransaction(fn) {
+  const dbClient = await pool.connect();
+  try {
+    await dbClient.query('BEGIN');
+    const result = await fn(dbClient);
+    await dbClient.query('COMMIT');
+    return result;
+  } catch (error) {
+    await dbClient.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+}
+
+module.exports = {
+  pool,
+  withTransaction
+};
@@ -0,0 +1,122 @@
+// httpClient.js
+//
+// Calls to the other services go through here instead of bare axios. The
+// downstream is picked by the origin of the URL and the route by method and
+// path. Each attempt waits for a slot in the bulkhead of the route's class on
+// that downstream (see bulkhead.js), then passes the downstream's circuit
+// breaker (see circuitBreaker.js); failed attempts are retried under the
+// route's policy (see retryPolicy.js). URLs outside DOWNSTREAMS are sent
+// unguarded. Health probes of other services call axios directly so they
+// always see the real state.
+const axios = require('axios');
+const { getBulkhead } = require('./bulkhead');
+const { getCircuitBreaker } = require('./circuitBreaker');
+const { DEFAULT_RETRY_POLICY, createRetryBudget, withRetry } = require('./retryPolicy');
+
+// Errors meaning the downstream was not called or did not answer, which
+// routes report as 503
+const UNAVAILABLE_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'CIRCUIT_OPEN', 'BULKHEAD_REJECTED'];
+
+// Route classes and their bulkhead options, overriding the BULKHEAD_* defaults:
+// critical calls serve a customer request, reporting calls bulk lookups for
+// analytics and background calls deliver outbox events, which retry on their own
+const ROUTE_CLASSES = {
+  critical: {},
+  reporting: {
+    maxConcurrent: parseInt(process.env.BULKHEAD_REPORTING_MAX_CONCURRENT) || 5,
+    queueTimeoutMs: 5000
+  },
+  background: {
+    maxConcurrent: parseInt(process.env.BULKHEAD_BACKGROUND_MAX_CONCURRENT) || 5,
+    queueTimeoutMs: 5000
+  }
+};
+
+// name -> { origin, breaker options overriding the CIRCUIT_* defaults, routes:
+// 'METHOD /path/:param' -> { class, retry policy overriding DEFAULT_RETRY_POLICY } }.
+// Unlisted routes are critical and use the default retry policy.
+const DOWNSTREAMS = {
+  'order-service': {
+    origin: 'http://order-service:3002',
+    breaker: {},
+    routes: {
+      'GET /orders': {},
+      'GET /analytics/orders': { class: 'reporting' },
+      // The outbox reschedules failed deliveries itself
+      'POST /webhooks/:event': { class: 'background', retry: { maxAttempts: 1 } }
+    }
+  },
+  'payment-service': {
+    origin: 'http://payment-service:3003',
+    breaker: {},
+    routes: {
+      'GET /payments': {},
+      // The outbox reschedules failed deliveries itself
+      'POST /webhooks/:event': { class: 'background', retry: { maxAttempts: 1 } }
+    }
+  }
+};
+
+const compileRoute = (key, { class: routeClass = 'critical', retry = {} } = {}) => {
+  const [method, path] = key.split(' ');
+  const pattern = path.split('/').map(part => (part.startsWith(':') ? '[^/]+' : part)).join('/');
+  return {
+    route: key,
+    method: method.toLowerCase(),
+    regex: new RegExp(`^${pattern}$`),
+    routeClass,
+    policy: { ...DEFAULT_RETRY_POLICY, ...retry }
+  };
+};
+
+const OTHER_ROUTE = { route: 'other', routeClass: 'critical', policy: DEFAULT_RETRY_POLICY };
+
+const targets = Object.entries(DOWNSTREAMS).map(([name, { origin, breaker, routes }]) => {
+  getCircuitBreaker(name, breaker);
+  Object.entries(ROUTE_CLASSES).forEach(([routeClass, options]) => getBulkhead(name, routeClass, options));
+  return {
+    name,
+    origin,
+    budget: createRetryBudget(name),
+    routes: Object.entries(routes).map(([key, route]) => compileRoute(key, route))
+  };
+});
+
+const targetFor = (config) => {
+  const url = new URL(config.url);
+  const target = targets.find(({ origin }) => url.origin === origin);
+  if (!target) return null;
+  const method = String(config.method || 'get').toLowerCase();
+  const route = target.routes.find(r => r.method === method && r.regex.test(url.pathname)) || OTHER_ROUTE;
+  return { target, route };
+};
+
+// Sends an axios request config. Throws the axios error of the last attempt,
+// BULKHEAD_REJECTED (with downstream, routeClass and reason) when no slot
+// frees up in time, or CIRCUIT_OPEN (with downstream and retryAfterMs) without
+// calling a downstream whose breaker is open.
+async function request(config) {
+  const resolved = targetFor(config);
+  if (!resolved) return axios.request(config);
+
+  const { target, route } = resolved;
+  const bulkhead = getBulkhead(target.name, route.routeClass);
+  const breaker = getCircuitBreaker(target.name);
+  return withRetry(() => bulkhead.run(() => breaker.execute(() => axios.request(config))), {
+    policy: route.policy,
+    budget: target.budget,
+    config,
+    labels: { downstream: target.name, route: route.route }
+  });
+}
+
+const get = (url, config = {}) => request({ ...config, method: 'get', url });
+const post = (url, data, config = {}) => request({ ...config, method: 'post', url, data });
+
+module.exports = {
+  UNAVAILABLE_ERROR_CODES,
+  DOWNSTREAMS,
+  request,
+  get,
+  post
+};
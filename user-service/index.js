@@ -1,10 +1,24 @@
 const express = require('express');
-const { Pool } = require('pg');
+const net = require('net');
 const axios = require('axios');
+const httpClient = require('./httpClient');
 const metricsMiddleware = require('./metricsMiddleware');
 const client = require('./metrics').client;
 const morgan = require('morgan');
 const logger = require('./logger');
+const { pool, withTransaction } = require('./db');
+const { migrateUp } = require('./migrator');
+const { PAGE_KEY_SQL, parsePagination, pageClause, buildPage } = require('./pagination');
+const { parseListQuery, selectColumns } = require('./listQuery');
+const {
+  OUTBOX_STATUSES,
+  enqueueEvent,
+  startOutboxDispatcher,
+  getOutboxEvent,
+  requeueOutboxEvent,
+  listOutboxEvents
+} = require('./outbox');
+const { circuitBreakerStates } = require('./circuitBreaker');
 
 const app = express();
 app.use(express.json());
@@ -18,56 +32,22 @@ app.use(
 
 const port = process.env.PORT || 3001;
 
-// PostgreSQL connection
-const pool = new Pool({
-  host: process.env.DB_HOST || 'postgres-service',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'ecommerce',
-  user: 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-});
+// Upper bound on ids accepted by POST /users/batch
+const MAX_BATCH_USERS = parseInt(process.env.MAX_BATCH_USERS) || 500;
+
+// Outbound webhooks, delivered through the outbox
+const WEBHOOKS = {
+  userUpdated: 'http://order-service:3002/webhooks/user-updated',
+  userActivity: 'http://payment-service:3003/webhooks/user-activity',
+};
 
 // Initialize database tables
 const initDB = async () => {
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        phone VARCHAR(20),
-        address JSONB,
-        demographics JSONB,
-        preferences JSONB DEFAULT '{"currency": "INR", "language": "en", "notifications": true}',
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW(),
-        last_login_at TIMESTAMP,
-        last_accessed_at TIMESTAMP
-      )
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_activity (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        action VARCHAR(50) NOT NULL,
-        details JSONB,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_sessions (
-        id SERIAL PRIMARY KEY,
-        session_id VARCHAR(100) UNIQUE NOT NULL,
-        user_id INTEGER REFERENCES users(id),
-        device_info TEXT,
-        ip_address INET,
-        status VARCHAR(20) DEFAULT 'active',
-        created_at TIMESTAMP DEFAULT NOW(),
-        last_active_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+    const applied = await migrateUp();
+    if (applied.length > 0) {
+      logger.info('Applied schema migrations', { versions: applied });
+    }
 
     // Insert sample users if none exist
     const { rows } = await pool.query('SELECT COUNT(*) FROM users');
@@ -223,51 +203,51 @@ app.put('/users/:id/profile', async (req, res) => {
       updateFields: Object.keys(req.body),
     });
 
-    const result = await pool.query(`
-      UPDATE users 
-      SET name = COALESCE($2, name),
-          email = COALESCE($3, email),
-          phone = COALESCE($4, phone),
-          address = COALESCE($5, address),
-          demographics = COALESCE($6, demographics),
-          preferences = COALESCE($7, preferences),
-          updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
-    `, [id, name, email, phone, address, demographics, preferences]);
-
-    if (result.rows.length === 0) {
-      logger.warn('User not found for profile update', {
-        userId: id,
-      });
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Log user activity
-    await pool.query(
-      'INSERT INTO user_activity (user_id, action, details) VALUES ($1, $2, $3)',
-      [id, 'profile_updated', { 
-        updated_fields: Object.keys(req.body),
-        changes: req.body
-      }]
-    );
+    // Update, activity log and the user-updated event commit together; the
+    // outbox dispatcher delivers the event to order-service with retries
+    const result = await withTransaction(async (db) => {
+      const updated = await db.query(`
+        UPDATE users 
+        SET name = COALESCE($2, name),
+            email = COALESCE($3, email),
+            phone = COALESCE($4, phone),
+            address = COALESCE($5, address),
+            demographics = COALESCE($6, demographics),
+            preferences = COALESCE($7, preferences),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, name, email, phone, address, demographics, preferences]);
+
+      if (updated.rows.length === 0) return updated;
+
+      // Log user activity
+      await db.query(
+        'INSERT INTO user_activity (user_id, action, details) VALUES ($1, $2, $3)',
+        [id, 'profile_updated', { 
+          updated_fields: Object.keys(req.body),
+          changes: req.body
+        }]
+      );
 
-    // Notify other services about profile update if needed
-    try {
-      await axios.post(
-        'http://order-service:3002/webhooks/user-updated',
-        {
+      await enqueueEvent(db, {
+        eventType: 'user.updated',
+        destination: WEBHOOKS.userUpdated,
+        payload: {
           userId: id,
           changes: req.body,
           timestamp: new Date().toISOString(),
-        },
-        { timeout: 3000 }
-      );
-    } catch (err) {
-      logger.warn('Failed to notify order service about profile update', {
+        }
+      });
+
+      return updated;
+    });
+
+    if (result.rows.length === 0) {
+      logger.warn('User not found for profile update', {
         userId: id,
-        error: err.message,
       });
+      return res.status(404).json({ error: 'User not found' });
     }
 
     logger.info('User profile updated successfully', {
@@ -363,48 +343,47 @@ app.post('/users/:id/sessions', async (req, res) => {
     }
 
     const sessionId = `session_${Date.now()}_${id}`;
-    const sessionIpAddress = ipAddress || req.ip || 'unknown';
-
-    // Create session
-    const sessionResult = await pool.query(`
-      INSERT INTO user_sessions (session_id, user_id, device_info, ip_address, created_at, last_active_at)
-      VALUES ($1, $2, $3, $4, NOW(), NOW())
-      RETURNING *
-    `, [sessionId, id, deviceInfo || 'unknown', sessionIpAddress]);
-
-    // Update user's last login
-    await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [id]);
+    const sessionIpAddress = ipAddress || req.ip || null;
+    if (sessionIpAddress !== null && !net.isIP(sessionIpAddress)) {
+      return res.status(400).json({ error: 'ipAddress must be an IPv4 or IPv6 address' });
+    }
 
-    // Log user activity
-    await pool.query(
-      'INSERT INTO user_activity (user_id, action, details) VALUES ($1, $2, $3)',
-      [id, 'user_login', {
-        sessionId,
-        deviceInfo: deviceInfo || 'unknown',
-        ipAddress: sessionIpAddress,
-      }]
-    );
+    // Session, login bookkeeping and the user-activity event commit together
+    const sessionResult = await withTransaction(async (db) => {
+      const created = await db.query(`
+        INSERT INTO user_sessions (session_id, user_id, device_info, ip_address, created_at, last_active_at)
+        VALUES ($1, $2, $3, $4, NOW(), NOW())
+        RETURNING *
+      `, [sessionId, id, deviceInfo || 'unknown', sessionIpAddress]);
+
+      // Update user's last login
+      await db.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [id]);
+
+      // Log user activity
+      await db.query(
+        'INSERT INTO user_activity (user_id, action, details) VALUES ($1, $2, $3)',
+        [id, 'user_login', {
+          sessionId,
+          deviceInfo: deviceInfo || 'unknown',
+          ipAddress: sessionIpAddress,
+        }]
+      );
 
-    // Notify payment service about user activity for fraud detection
-    try {
-      await axios.post(
-        'http://payment-service:3003/webhooks/user-activity',
-        {
+      // Notify payment service about user activity for fraud detection
+      await enqueueEvent(db, {
+        eventType: 'user.activity',
+        destination: WEBHOOKS.userActivity,
+        payload: {
           userId: id,
           action: 'login',
           sessionId,
           timestamp: new Date().toISOString(),
           ipAddress: sessionIpAddress,
-        },
-        { timeout: 3000 }
-      );
-    } catch (err) {
-      logger.warn('Failed to notify payment service about user login', {
-        userId: id,
-        sessionId,
-        error: err.message,
+        }
       });
-    }
+
+      return created;
+    });
 
     logger.info('User session created successfully', {
       userId: id,
@@ -440,7 +419,7 @@ app.get('/users/:id/orders', async (req, res) => {
     }
 
     // Get orders from order service
-    const ordersResponse = await axios.get(`http://order-service:3002/orders?userId=${id}`, {
+    const ordersResponse = await httpClient.get(`http://order-service:3002/orders?userId=${id}`, {
       timeout: 5000
     });
 
@@ -469,7 +448,7 @@ app.get('/users/:id/orders', async (req, res) => {
       errorType: 'order_fetch_error'
     });
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    if (httpClient.UNAVAILABLE_ERROR_CODES.includes(error.code)) {
       return res.status(503).json({ error: 'Order service unavailable' });
     }
     res.status(500).json({ error: 'Failed to fetch user orders' });
@@ -493,7 +472,7 @@ app.get('/users/:id/payments', async (req, res) => {
     }
 
     // Get payments from payment service
-    const paymentsResponse = await axios.get(`http://payment-service:3003/payments?userId=${id}`, {
+    const paymentsResponse = await httpClient.get(`http://payment-service:3003/payments?userId=${id}`, {
       timeout: 5000
     });
 
@@ -522,53 +501,136 @@ app.get('/users/:id/payments', async (req, res) => {
       errorType: 'payment_fetch_error'
     });
 
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    if (httpClient.UNAVAILABLE_ERROR_CODES.includes(error.code)) {
       return res.status(503).json({ error: 'Payment service unavailable' });
     }
     res.status(500).json({ error: 'Failed to fetch user payments' });
   }
 });
 
+// Get many full profiles in one query. Used by analytics in the other
+// services, so unlike /users/:id/profile it does not log user activity.
+app.post('/users/batch', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      logger.warn('Batch user lookup missing ids', {
+        route: '/users/batch',
+        requestBody: req.body,
+      });
+      return res.status(400).json({ error: 'ids must be a non-empty array of user IDs' });
+    }
+
+    if (ids.length > MAX_BATCH_USERS) {
+      logger.warn('Batch user lookup too large', {
+        route: '/users/batch',
+        requested: ids.length,
+        max: MAX_BATCH_USERS,
+      });
+      return res.status(400).json({ error: `At most ${MAX_BATCH_USERS} ids per request` });
+    }
+
+    const userIds = [...new Set(ids.map(id => parseInt(id)))];
+    if (userIds.some(id => isNaN(id))) {
+      return res.status(400).json({ error: 'ids must be integers' });
+    }
+
+    logger.info('Batch user lookup requested', {
+      route: '/users/batch',
+      requested: userIds.length,
+    });
+
+    const result = await pool.query('SELECT * FROM users WHERE id = ANY($1)', [userIds]);
+
+    const found = new Set(result.rows.map(user => user.id));
+    const missing = userIds.filter(id => !found.has(id));
+
+    logger.info('Batch user lookup completed', {
+      requested: userIds.length,
+      found: result.rows.length,
+      missing: missing.length,
+    });
+
+    res.json({
+      users: result.rows,
+      missing,
+    });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/users/batch',
+      errorType: 'batch_user_fetch_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Filterable, sortable and selectable columns for GET /users (see listQuery.js).
+// Profile details stay behind GET /users/:id, so only these are listable.
+const USER_LIST_SCHEMA = {
+  fields: {
+    id: { type: 'integer', filter: true, sort: true },
+    name: { type: 'string', filter: true, sort: true },
+    email: { type: 'string', filter: true, sort: true },
+    created_at: { type: 'timestamp', filter: true, sort: true },
+    last_login_at: { type: 'timestamp', filter: true, sort: true }
+  },
+  passthrough: ['search'],
+  defaultFields: ['id', 'name', 'email', 'created_at', 'last_login_at']
+};
+
 // Get all users (with pagination and search)
 app.get('/users', async (req, res) => {
   try {
-    const { limit = 10, offset = 0, search } = req.query;
+    const { search } = req.query;
 
     logger.info('Users list requested', {
       route: '/users',
-      filters: { limit, offset, search },
+      query: req.query
     });
+
+    const { listQuery, error: queryError } = parseListQuery(req.query, USER_LIST_SCHEMA);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+    const { page, error: pageError } = parsePagination(req.query, { defaultLimit: 10, sort: listQuery.sort });
+    if (pageError) {
+      return res.status(400).json({ error: pageError });
+    }
     
-    let query = 'SELECT id, name, email, created_at, last_login_at FROM users';
-    let countQuery = 'SELECT COUNT(*) FROM users';
-    let params = [];
-    let whereClause = '';
+    const { conditions, params } = listQuery;
 
     if (search) {
-      whereClause = ' WHERE name ILIKE $1 OR email ILIKE $1';
+      conditions.push(`(name ILIKE $${params.length + 1} OR email ILIKE $${params.length + 1})`);
       params.push(`%${search}%`);
     }
 
-    query += whereClause + ' ORDER BY created_at DESC LIMIT $' + (params.length + 1) + ' OFFSET $' + (params.length + 2);
-    countQuery += whereClause;
-    params.push(limit, offset);
+    const pageQuery = pageClause(page, conditions, params);
+    const countQuery = 'SELECT COUNT(*) FROM users' + (conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '');
 
     const [result, countResult] = await Promise.all([
-      pool.query(query, params),
-      pool.query(countQuery, search ? [`%${search}%`] : [])
+      pool.query(
+        `SELECT ${selectColumns(listQuery, USER_LIST_SCHEMA)}, ${PAGE_KEY_SQL} FROM users${pageQuery.sql}`,
+        pageQuery.params
+      ),
+      page.includeTotal ? pool.query(countQuery, params) : null
     ]);
 
-    const totalUsers = parseInt(countResult.rows[0].count);
+    const { rows: users, next_cursor, prev_cursor } = buildPage(page, result.rows);
+    const totalUsers = countResult ? parseInt(countResult.rows[0].count) : undefined;
 
     logger.info('Users list retrieved successfully', {
       totalUsers,
-      returnedUsers: result.rows.length,
+      returnedUsers: users.length,
+      mode: page.mode
     });
 
     res.json({
-      users: result.rows,
+      users,
       total: totalUsers,
-      returned: result.rows.length
+      returned: users.length,
+      next_cursor,
+      prev_cursor
     });
   } catch (error) {
     logger.logError(error, {
@@ -609,7 +671,7 @@ app.get('/analytics/users', async (req, res) => {
     // Get order analytics if available
     let orderAnalytics = {};
     try {
-      const ordersResponse = await axios.get(
+      const ordersResponse = await httpClient.get(
         'http://order-service:3002/analytics/orders',
         { timeout: 5000 }
       );
@@ -661,6 +723,143 @@ app.get('/analytics/users', async (req, res) => {
   }
 });
 
+// Order status changes from order-service, kept in the user's activity log
+app.post('/webhooks/order-updated', async (req, res) => {
+  try {
+    const { userId, orderId, fromStatus, toStatus, reason, timestamp } = req.body;
+
+    if (!userId || !orderId || !toStatus) {
+      logger.warn('Order update webhook missing required fields', {
+        route: '/webhooks/order-updated',
+        requestBody: req.body,
+      });
+      return res.status(400).json({ error: 'userId, orderId and toStatus are required' });
+    }
+    if (!Number.isInteger(Number(userId))) {
+      return res.status(400).json({ error: 'userId must be an integer' });
+    }
+
+    // Orders can be placed for users this service no longer has (or never
+    // confirmed); their events are acknowledged so the sender stops retrying
+    const inserted = await pool.query(`
+      INSERT INTO user_activity (user_id, action, details)
+      SELECT id, $2, $3 FROM users WHERE id = $1
+    `, [userId, 'order_status_changed', {
+      orderId,
+      fromStatus,
+      toStatus,
+      reason,
+      eventId: req.get('X-Event-Id'),
+      timestamp,
+    }]);
+
+    if (inserted.rowCount === 0) {
+      logger.warn('Order update webhook for unknown user ignored', {
+        userId,
+        orderId,
+        toStatus,
+      });
+      return res.status(202).json({ message: 'User not found, event ignored' });
+    }
+
+    logger.info('Order update webhook processed', {
+      userId,
+      orderId,
+      fromStatus,
+      toStatus,
+    });
+
+    res.status(200).json({ message: 'Webhook received successfully' });
+  } catch (error) {
+    logger.logError(error, {
+      route: '/webhooks/order-updated',
+      errorType: 'order_webhook_error'
+    });
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Outbox delivery status
+app.get('/outbox/events', async (req, res) => {
+  try {
+    const { status, eventType, limit = 50 } = req.query;
+
+    logger.info('Retrieving outbox events', {
+      route: '/outbox/events',
+      filters: { status, eventType, limit }
+    });
+
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status: must be one of ${OUTBOX_STATUSES.join(', ')}`
+      });
+    }
+
+    const result = await listOutboxEvents({ status, eventType, limit: parseInt(limit) || 50 });
+    res.json(result);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events',
+      errorType: 'outbox_events_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/outbox/events/:id', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+
+    const event = await getOutboxEvent(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Outbox event not found' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events/:id',
+      eventId: req.params.id,
+      errorType: 'outbox_event_retrieval_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/outbox/events/:id/retry', async (req, res) => {
+  try {
+    const eventId = parseInt(req.params.id);
+    if (isNaN(eventId)) {
+      return res.status(400).json({ error: 'Invalid event ID' });
+    }
+
+    if (!(await getOutboxEvent(eventId))) {
+      return res.status(404).json({ error: 'Outbox event not found' });
+    }
+
+    const event = await requeueOutboxEvent(eventId);
+    if (!event) {
+      return res.status(409).json({ error: 'Only failed outbox events can be retried' });
+    }
+
+    logger.info('Outbox event requeued', {
+      eventId,
+      eventType: event.event_type
+    });
+    res.json(event);
+  } catch (error) {
+    logger.logError(error, {
+      route: '/outbox/events/:id/retry',
+      eventId: req.params.id,
+      errorType: 'outbox_event_retry_error'
+    });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Metrics endpoint
 app.get('/metrics', async (req, res) => {
   logger.debug('Metrics endpoint accessed');
@@ -726,6 +925,7 @@ app.get('/health', async (req, res) => {
       database: 'ok',
       services: safeResults,
       deps: statusReport,
+      circuitBreakers: circuitBreakerStates(),
       usersCount: parseInt(usersCount.rows[0].count),
       activitiesCount: parseInt(activitiesCount.rows[0].count),
       sessionsCount: parseInt(sessionsCount.rows[0].count),
@@ -772,6 +972,9 @@ app.use((req, res) => {
   });
 });
 
+// Background workers, started once the database is ready
+let stopOutboxDispatcher = () => {};
+
 // Start server
 const server = app.listen(port, '0.0.0.0', () => {
   logger.info('User service started successfully', {
@@ -779,13 +982,17 @@ const server = app.listen(port, '0.0.0.0', () => {
     environment: process.env.NODE_ENV || 'development',
     processId: process.pid,
   });
-  initDB();
+  initDB().then(() => {
+    stopOutboxDispatcher = startOutboxDispatcher();
+  });
 });
 
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}, starting graceful shutdown`);
 
+  stopOutboxDispatcher();
+
   server.close((err) => {
     if (err) {
       logger.logError(err, { context: 'Graceful shutdown failed' });
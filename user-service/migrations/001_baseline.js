@@ -0,0 +1,78 @@
+// 001_baseline.js
+//
+// Schema as it stood before versioned migrations. Every statement is
+// idempotent so databases set up by the old initDB are adopted as-is;
+// 002 brings databases created from the old migration.sql in line.
+
+async function up(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      phone VARCHAR(20),
+      address JSONB,
+      demographics JSONB,
+      preferences JSONB DEFAULT '{"currency": "INR", "language": "en", "notifications": true}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      last_login_at TIMESTAMP,
+      last_accessed_at TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_activity (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      action VARCHAR(50) NOT NULL,
+      details JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_activity_user_id ON user_activity(user_id)');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id SERIAL PRIMARY KEY,
+      session_id VARCHAR(100) UNIQUE NOT NULL,
+      user_id INTEGER REFERENCES users(id),
+      device_info TEXT,
+      ip_address INET,
+      status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_active_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)');
+
+  // Keyset pagination on GET /users walks this index
+  await db.query('CREATE INDEX IF NOT EXISTS idx_users_created_at_id ON users(created_at DESC, id DESC)');
+
+  // Shared with the other services
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS outbox_events (
+      id SERIAL PRIMARY KEY,
+      event_type VARCHAR(100) NOT NULL,
+      destination VARCHAR(255) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      last_status_code INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_outbox_events_due ON outbox_events(status, next_attempt_at)');
+}
+
+// outbox_events is shared with the other services and stays
+async function down(db) {
+  await db.query('DROP TABLE IF EXISTS user_sessions');
+  await db.query('DROP TABLE IF EXISTS user_activity');
+  await db.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
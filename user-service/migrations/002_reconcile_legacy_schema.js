@@ -0,0 +1,72 @@
+// 002_reconcile_legacy_schema.js
+//
+// Databases created from the old migration.sql got users.address as TEXT and
+// a user_sessions table keyed on session_id with no id or status column and
+// ip_address as VARCHAR (defaulting to 'unknown'). Bring them in line with what
+// user-service reads and writes; on databases created by 001 this finds
+// nothing to change.
+//
+// Irreversible: down() keeps the reconciled layout. It is also the layout 001
+// creates, so rolling back to 001 needs no change, and the legacy one is what
+// user-service could not work with.
+
+const columnType = async (db, table, column) => {
+  const result = await db.query(`
+    SELECT data_type FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2
+  `, [table, column]);
+  return result.rows[0]?.data_type || null;
+};
+
+async function up(db) {
+  // Addresses stored as JSON text are parsed; anything else is kept as the street line
+  if (await columnType(db, 'users', 'address') === 'text') {
+    await db.query(`
+      ALTER TABLE users ALTER COLUMN address TYPE JSONB USING (
+        CASE
+          WHEN address IS NULL OR btrim(address) = '' THEN NULL
+          WHEN btrim(address) LIKE '{%' THEN address::jsonb
+          ELSE jsonb_build_object('street', address)
+        END
+      )
+    `);
+  }
+  await db.query(`
+    ALTER TABLE users ALTER COLUMN preferences
+    SET DEFAULT '{"currency": "INR", "language": "en", "notifications": true}'
+  `);
+
+  if (await columnType(db, 'user_sessions', 'id') === null) {
+    const primaryKey = await db.query(`
+      SELECT conname FROM pg_constraint
+      WHERE conrelid = 'user_sessions'::regclass AND contype = 'p'
+    `);
+    if (primaryKey.rows.length > 0) {
+      await db.query(`ALTER TABLE user_sessions DROP CONSTRAINT "${primaryKey.rows[0].conname}"`);
+    }
+    await db.query('ALTER TABLE user_sessions ADD COLUMN id SERIAL PRIMARY KEY');
+    await db.query('ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_session_id_key UNIQUE (session_id)');
+  }
+  await db.query("ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active'");
+
+  // Addresses that aren't valid IPs ('unknown' and the like) become NULL
+  if (await columnType(db, 'user_sessions', 'ip_address') === 'character varying') {
+    await db.query(`
+      CREATE FUNCTION pg_temp.try_inet(value TEXT) RETURNS INET AS $$
+      BEGIN
+        RETURN btrim(value)::inet;
+      EXCEPTION WHEN others THEN
+        RETURN NULL;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await db.query('ALTER TABLE user_sessions ALTER COLUMN ip_address DROP DEFAULT');
+    await db.query('ALTER TABLE user_sessions ALTER COLUMN ip_address TYPE INET USING pg_temp.try_inet(ip_address)');
+    await db.query('DROP FUNCTION pg_temp.try_inet(TEXT)');
+  }
+}
+
+// Irreversible, see above: the reconciled layout is kept
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// 003_outbox_service.js
+//
+// outbox_events is shared by every service, so each event records the service
+// that wrote it and only that service dispatches, lists and requeues it. Each
+// service adds the column if it is missing and claims its own earlier events by
+// their event type prefix. The column and index stay on the way down, like the
+// table itself; only this service's claim is undone.
+
+async function up(db) {
+  await db.query('ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS service VARCHAR(100)');
+  await db.query(
+    "UPDATE outbox_events SET service = 'user-service' WHERE service IS NULL AND event_type LIKE 'user.%'"
+  );
+  await db.query(
+    'CREATE INDEX IF NOT EXISTS idx_outbox_events_service_due ON outbox_events(service, status, next_attempt_at)'
+  );
+}
+
+async function down(db) {
+  await db.query("UPDATE outbox_events SET service = NULL WHERE service = 'user-service'");
+}
+
+module.exports = { up, down };